@@ -3,21 +3,77 @@
  * Initializes the game and handles navigation
  */
 
-import { engine } from './core/engine.js';
-import { ui } from './core/ui.js';
-import { getStats } from './storage.js';
+import { engine, GameEngine, CHECKPOINT_VERSION } from './core/engine.js';
+import { ui, isMistake, DuelPane } from './core/ui.js';
+import { Duel, DUEL_WINS } from './core/duel.js';
+import { GhostPlayback, isValidRecording } from './core/ghost.js';
+import { ReplayPlayer, isValidReplay } from './core/replay.js';
+import {
+  getStats,
+  getDailyStats,
+  getDateKey,
+  getPracticeStats,
+  getCategoryRunStats,
+  loadCheckpoint,
+  clearCheckpoint,
+  getGhost,
+  getGhosts,
+  saveReplay,
+  loadReplay,
+  exportReplay,
+  importReplay,
+  getRulesetStats,
+  getCustomRules,
+  saveCustomRules,
+  getMasteryStats,
+  getModeRunStats,
+  getPlaylists,
+  savePlaylist,
+  deletePlaylist,
+  getChallengeStats
+} from './storage.js';
+import { buildRunConfig, CATEGORY_INFO, getCategoryRunLabel, getRunLabel } from './core/modes.js';
+import { normalizePlayerNames, MIN_PLAYERS, DEFAULT_ROUNDS } from './core/hotseat.js';
+import { getMasteryAccuracy, getMasteryLevel, getRecentDays } from './core/mastery.js';
+import { getDueChallenges, getAverageTime, formatDue } from './core/training.js';
+import {
+  PLAYLIST_LIMITS,
+  MAX_PLAYLIST_ITEMS,
+  normalizePlaylist,
+  getPlaylistLength,
+  describePlaylist
+} from './core/playlists.js';
+import {
+  RULE_PRESETS,
+  RULE_LIMITS,
+  resolveRules,
+  parseRulesKey,
+  getRulesKey,
+  getRulesLabel,
+  describeRules,
+  hasUnlimitedLives
+} from './core/rules.js';
 
 // Import all challenge modules to trigger registration
 import './challenges/math.js';
 import './challenges/logic.js';
 import './challenges/memory.js';
 import './challenges/puzzles.js';
-import { initializeRegistry } from './challenges/registry.js';
+import './challenges/bosses.js';
+import { initializeRegistry, registry } from './challenges/registry.js';
 
 class App {
   constructor() {
     this.currentPage = null;
     this.isInitialized = false;
+    this.calendarMonth = new Date();
+    this.pendingCheckpoint = null;
+    this.review = null; // { entries, position, challenge } while reviewing mistakes
+    this.duel = null;   // Duel controller in split-screen duel mode
+    this.duelPanes = [];
+    this.ghostInterval = null; // Ghost race display refresh
+    this.replayPlayer = null;  // Feeds a replay's inputs to the engine in playback
+    this.lastReplay = null;    // Replay of the run that just ended, for export
   }
 
   /**
@@ -78,6 +134,62 @@ class App {
       });
     }
 
+    // Set up daily challenge button
+    const dailyBtn = document.getElementById('daily-btn');
+    if (dailyBtn) {
+      dailyBtn.addEventListener('click', () => {
+        window.location.href = 'game.html?mode=daily';
+      });
+    }
+
+    // Daily calendar month navigation (delegated, calendar re-renders)
+    const calendar = document.getElementById('daily-calendar');
+    if (calendar) {
+      calendar.addEventListener('click', (e) => {
+        const step = e.target.dataset.monthStep;
+        if (!step) return;
+        this.calendarMonth = new Date(
+          this.calendarMonth.getFullYear(),
+          this.calendarMonth.getMonth() + Number(step),
+          1
+        );
+        this.displayDaily();
+      });
+    }
+
+    // Set up category run picker
+    this.initCategoryPicker();
+
+    // Set up practice picker
+    this.initPracticePicker();
+
+    // Set up rules presets and the custom rules editor
+    this.initRulesPicker();
+
+    // Set up Zen mode and its mastery view
+    this.initZen();
+
+    // Set up Training and the review schedule
+    this.initTraining();
+
+    // Set up Blitz and its high score
+    this.initBlitz();
+
+    // Set up saved playlists and the playlist editor
+    this.initPlaylists();
+
+    // Set up hot-seat player setup
+    this.initHotseatPicker();
+
+    // Set up split-screen duel setup
+    this.initDuelPicker();
+
+    // List best-run ghosts to race
+    this.displayGhosts();
+
+    // Set up replay file import
+    this.initReplayPicker();
+
     // Set up reset button (if exists)
     const resetBtn = document.getElementById('reset-stats-btn');
     if (resetBtn) {
@@ -90,6 +202,565 @@ class App {
     }
   }
 
+  /**
+   * Build the category run picker and list per-category-set high scores
+   */
+  initCategoryPicker() {
+    const chips = document.getElementById('category-chips');
+    const startBtn = document.getElementById('category-start-btn');
+    if (!chips || !startBtn) return;
+
+    chips.innerHTML = registry.getCategories()
+      .filter(category => CATEGORY_INFO[category])
+      .map(category => `
+        <label class="category-chip">
+          <input type="checkbox" value="${category}">
+          ${CATEGORY_INFO[category].icon} ${CATEGORY_INFO[category].name}
+        </label>
+      `).join('');
+
+    const getSelected = () => Array.from(chips.querySelectorAll('input:checked')).map(input => input.value);
+
+    chips.addEventListener('change', () => {
+      startBtn.disabled = getSelected().length === 0;
+    });
+
+    startBtn.addEventListener('click', () => {
+      const selected = getSelected();
+      if (selected.length === 0) return;
+      window.location.href = `game.html?mode=category&categories=${selected.join(',')}`;
+    });
+
+    const list = document.getElementById('category-runs');
+    if (!list) return;
+
+    const runs = Object.entries(getCategoryRunStats())
+      .sort((a, b) => b[1].highScore - a[1].highScore);
+
+    list.innerHTML = runs.map(([runKey, run]) => `
+      <div class="category-run-item">
+        <span>${getCategoryRunLabel(runKey.split('+'))}</span>
+        <span class="category-run-score">${run.highScore} · ${run.rank}</span>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Build the practice picker from the registered challenges
+   */
+  initPracticePicker() {
+    const select = document.getElementById('practice-challenge');
+    const levelInput = document.getElementById('practice-level');
+    const timerInput = document.getElementById('practice-timer');
+    const startBtn = document.getElementById('practice-start-btn');
+    if (!select || !levelInput || !startBtn) return;
+
+    const infos = registry.getPlainIds().map(id => registry.getInfo(id));
+
+    select.innerHTML = registry.getCategories().map(category => `
+      <optgroup label="${category.charAt(0).toUpperCase() + category.slice(1)}">
+        ${infos
+          .filter(info => info.category === category)
+          .map(info => `<option value="${info.id}">${info.metadata.name}</option>`)
+          .join('')}
+      </optgroup>
+    `).join('');
+
+    const updateSelection = () => {
+      const info = registry.getInfo(select.value);
+      if (!info) return;
+
+      const minLevel = info.metadata.minDifficulty;
+      levelInput.min = minLevel;
+      if (Number(levelInput.value) < minLevel) {
+        levelInput.value = minLevel;
+      }
+
+      const descriptionEl = document.getElementById('practice-description');
+      if (descriptionEl) {
+        descriptionEl.textContent = `${info.metadata.description} · from level ${minLevel}`;
+      }
+
+      const statsEl = document.getElementById('practice-stats');
+      if (statsEl) {
+        const stats = getPracticeStats()[info.id];
+        statsEl.textContent = stats && stats.attempts > 0
+          ? `Practiced ${stats.attempts}× · ${Math.round((stats.correct / stats.attempts) * 100)}% correct · best level ${stats.highestLevel}`
+          : 'Not practiced yet';
+      }
+    };
+
+    select.addEventListener('change', updateSelection);
+    updateSelection();
+
+    startBtn.addEventListener('click', () => {
+      const info = registry.getInfo(select.value);
+      if (!info) return;
+
+      const level = Math.max(info.metadata.minDifficulty, Number(levelInput.value) || 1);
+      const params = new URLSearchParams({
+        mode: 'practice',
+        challenge: info.id,
+        level: String(level),
+        timer: timerInput && timerInput.checked ? '1' : '0'
+      });
+      window.location.href = `game.html?${params}`;
+    });
+  }
+
+  /**
+   * Zen mode: start button and mastery per challenge type
+   */
+  initZen() {
+    const startBtn = document.getElementById('zen-start-btn');
+    if (startBtn) {
+      startBtn.addEventListener('click', () => {
+        window.location.href = 'game.html?mode=zen';
+      });
+    }
+
+    const list = document.getElementById('mastery-list');
+    if (!list) return;
+
+    const entries = Object.entries(getMasteryStats())
+      .filter(([id, stats]) => registry.hasChallenge(id) && stats.attempts > 0)
+      .sort((a, b) => getMasteryAccuracy(b[1]) - getMasteryAccuracy(a[1]));
+
+    if (entries.length === 0) {
+      list.innerHTML = '<p class="no-games">Play a Zen session to start tracking mastery</p>';
+      return;
+    }
+
+    list.innerHTML = entries.map(([id, stats]) => `
+      <div class="mastery-item">
+        <span>
+          ${registry.getInfo(id).metadata.name}
+          <span class="mastery-level">${getMasteryLevel(stats)}</span>
+        </span>
+        <span class="mastery-days" title="Accuracy on the last days played">
+          ${getRecentDays(stats).map(day => `<span class="mastery-day" style="height: ${day.accuracy}%" title="${day.dateKey}: ${day.accuracy}%"></span>`).join('')}
+        </span>
+        <span class="category-run-score">${getMasteryAccuracy(stats)}% · ${stats.attempts}</span>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Training: start button, what is due today, and the weakest challenge
+   * types with their next review
+   */
+  initTraining() {
+    const startBtn = document.getElementById('training-start-btn');
+    if (startBtn) {
+      startBtn.addEventListener('click', () => {
+        window.location.href = 'game.html?mode=training';
+      });
+    }
+
+    const stats = getChallengeStats();
+    const due = getDueChallenges(stats);
+    const { weakestCategory } = getStats().stats;
+
+    const summary = document.getElementById('training-due');
+    if (summary) {
+      summary.textContent = due.length > 0
+        ? `${due.length} challenge type${due.length === 1 ? '' : 's'} due for review`
+        : 'Nothing due - training picks your weakest challenges';
+      if (weakestCategory && CATEGORY_INFO[weakestCategory]) {
+        summary.textContent += ` · Weakest category: ${CATEGORY_INFO[weakestCategory].name}`;
+      }
+    }
+
+    const list = document.getElementById('training-list');
+    if (!list) return;
+
+    // Due first, then the lowest accuracy
+    const entries = Object.entries(stats)
+      .filter(([id, entry]) => registry.hasChallenge(id) && entry.attempts > 0)
+      .sort((a, b) => (due.includes(b[0]) - due.includes(a[0])) ||
+        getMasteryAccuracy(a[1]) - getMasteryAccuracy(b[1]))
+      .slice(0, 8);
+
+    if (entries.length === 0) {
+      list.innerHTML = '<p class="no-games">Play any mode to start tracking your challenges</p>';
+      return;
+    }
+
+    list.innerHTML = entries.map(([id, entry]) => {
+      const averageTime = getAverageTime(entry);
+      return `
+        <div class="mastery-item">
+          <span>
+            ${registry.getInfo(id).metadata.name}
+            <span class="mastery-level">${formatDue(entry.due)}</span>
+          </span>
+          <span class="category-run-score">
+            ${getMasteryAccuracy(entry)}%${averageTime !== null ? ` · ${averageTime.toFixed(1)}s` : ''}
+          </span>
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Blitz: start button and best session
+   */
+  initBlitz() {
+    const startBtn = document.getElementById('blitz-start-btn');
+    if (startBtn) {
+      startBtn.addEventListener('click', () => {
+        window.location.href = 'game.html?mode=blitz';
+      });
+    }
+
+    const best = document.getElementById('blitz-best');
+    if (!best) return;
+
+    const run = getModeRunStats('blitz');
+    best.textContent = run
+      ? `Best: ${run.highScore} · ${run.rank} · ${run.totalGames} ${run.totalGames === 1 ? 'session' : 'sessions'}`
+      : 'No Blitz sessions yet';
+  }
+
+  /**
+   * Playlists: saved workouts (play, edit, delete) and the playlist editor
+   */
+  initPlaylists() {
+    const itemsEl = document.getElementById('playlist-items');
+    const nameInput = document.getElementById('playlist-name');
+    const addBtn = document.getElementById('playlist-add-btn');
+    const saveBtn = document.getElementById('playlist-save-btn');
+    const list = document.getElementById('playlist-list');
+    const summary = document.getElementById('playlist-summary');
+    if (!itemsEl || !nameInput || !addBtn || !saveBtn) return;
+
+    const infos = registry.getPlainIds().map(id => registry.getInfo(id));
+    const limits = PLAYLIST_LIMITS;
+
+    // Playlist being edited (a new one until "Edit" loads a saved one)
+    let editing = { id: null, items: [] };
+
+    const updateSummary = () => {
+      const playlist = normalizePlaylist({ ...editing, name: nameInput.value });
+      saveBtn.disabled = playlist.items.length === 0;
+      if (summary) {
+        summary.textContent = playlist.items.length > 0
+          ? `${getPlaylistLength(playlist)} challenges: ${describePlaylist(playlist)}`
+          : 'Add challenges to build a playlist';
+      }
+    };
+
+    const renderItems = () => {
+      itemsEl.innerHTML = editing.items.map((item, index) => `
+        <div class="playlist-item" data-index="${index}">
+          <select data-field="challengeId" aria-label="Challenge">
+            ${infos.map(info => `<option value="${info.id}" ${info.id === item.challengeId ? 'selected' : ''}>${info.metadata.name}</option>`).join('')}
+          </select>
+          <input type="number" data-field="count" value="${item.count}" min="${limits.count.min}" max="${limits.count.max}" title="How many" aria-label="How many">
+          <input type="number" data-field="minLevel" value="${item.minLevel}" min="${limits.level.min}" max="${limits.level.max}" title="From level" aria-label="From level">
+          <input type="number" data-field="maxLevel" value="${item.maxLevel}" min="${limits.level.min}" max="${limits.level.max}" title="To level" aria-label="To level">
+          <span class="playlist-item-actions">
+            <button type="button" class="btn-link" data-action="up" aria-label="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+            <button type="button" class="btn-link" data-action="down" aria-label="Move down" ${index === editing.items.length - 1 ? 'disabled' : ''}>↓</button>
+            <button type="button" class="btn-link" data-action="remove" aria-label="Remove">✕</button>
+          </span>
+        </div>
+      `).join('');
+      addBtn.disabled = editing.items.length >= MAX_PLAYLIST_ITEMS;
+      updateSummary();
+    };
+
+    const edit = (playlist) => {
+      editing = { id: playlist.id, items: playlist.items.map(item => ({ ...item })) };
+      nameInput.value = playlist.name;
+      saveBtn.textContent = playlist.id ? 'Update Playlist' : 'Save Playlist';
+      renderItems();
+    };
+
+    const displayList = () => {
+      if (!list) return;
+
+      const playlists = getPlaylists().map(normalizePlaylist);
+      if (playlists.length === 0) {
+        list.innerHTML = '<p class="no-games">No playlists yet - build one below</p>';
+        return;
+      }
+
+      list.innerHTML = playlists.map(playlist => {
+        const run = getModeRunStats(`playlist:${playlist.id}`);
+        return `
+          <div class="category-run-item" data-id="${playlist.id}">
+            <span title="${describePlaylist(playlist)}">${playlist.name} · ${getPlaylistLength(playlist)} challenges</span>
+            <span class="category-run-score">${run ? run.highScore : '-'}</span>
+            <span class="playlist-item-actions">
+              <a class="btn-link" href="game.html?mode=playlist&id=${encodeURIComponent(playlist.id)}">Play ▶</a>
+              <button type="button" class="btn-link" data-action="edit">Edit</button>
+              <button type="button" class="btn-link" data-action="delete" aria-label="Delete">✕</button>
+            </span>
+          </div>
+        `;
+      }).join('');
+    };
+
+    itemsEl.addEventListener('input', (e) => {
+      const row = e.target.closest('.playlist-item');
+      const field = e.target.dataset.field;
+      if (!row || !field) return;
+
+      editing.items[Number(row.dataset.index)][field] = e.target.value;
+      updateSummary();
+    });
+
+    itemsEl.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+
+      const items = editing.items;
+      const index = Number(button.closest('.playlist-item').dataset.index);
+      if (button.dataset.action === 'remove') {
+        items.splice(index, 1);
+      } else {
+        const target = index + (button.dataset.action === 'up' ? -1 : 1);
+        if (!items[target]) return;
+        [items[index], items[target]] = [items[target], items[index]];
+      }
+      renderItems();
+    });
+
+    nameInput.addEventListener('input', updateSummary);
+
+    addBtn.addEventListener('click', () => {
+      if (editing.items.length >= MAX_PLAYLIST_ITEMS) return;
+
+      const info = infos[0];
+      editing.items.push({ challengeId: info.id, count: 3, minLevel: info.metadata.minDifficulty, maxLevel: info.metadata.minDifficulty });
+      renderItems();
+    });
+
+    saveBtn.addEventListener('click', () => {
+      const playlist = normalizePlaylist({ ...editing, name: nameInput.value });
+      if (playlist.items.length === 0) return;
+
+      savePlaylist(playlist);
+      edit({ id: null, name: '', items: [] });
+      displayList();
+    });
+
+    if (list) {
+      list.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        const id = button.closest('.category-run-item').dataset.id;
+        const playlist = getPlaylists().find(saved => saved.id === id);
+        if (!playlist) return;
+
+        if (button.dataset.action === 'edit') {
+          edit(playlist);
+          nameInput.focus();
+        } else if (confirm(`Delete "${playlist.name}"?`)) {
+          deletePlaylist(id);
+          if (editing.id === id) {
+            edit({ id: null, name: '', items: [] });
+          }
+          displayList();
+        }
+      });
+    }
+
+    renderItems();
+    displayList();
+  }
+
+  /**
+   * Rules picker: presets, the custom rules editor and per-ruleset high scores
+   */
+  initRulesPicker() {
+    const presets = document.getElementById('rules-presets');
+    const editor = document.getElementById('rules-editor');
+    const startBtn = document.getElementById('rules-start-btn');
+    if (!presets || !editor || !startBtn) return;
+
+    const fields = {
+      lives: 'rules-lives',
+      regainEvery: 'rules-regain',
+      penalty: 'rules-penalty',
+      minTime: 'rules-min-time'
+    };
+
+    const choices = Object.entries(RULE_PRESETS)
+      .map(([id, preset]) => ({ id, name: preset.name }))
+      .concat({ id: 'custom', name: 'Custom' });
+
+    presets.innerHTML = choices.map(choice => `
+      <label class="category-chip">
+        <input type="radio" name="rules-preset" value="${choice.id}" ${choice.id === 'classic' ? 'checked' : ''}>
+        ${choice.name}
+      </label>
+    `).join('');
+
+    // The editor starts from the last custom rules played
+    const custom = resolveRules(getCustomRules() || RULE_PRESETS.classic);
+    Object.entries(fields).forEach(([field, id]) => {
+      const input = document.getElementById(id);
+      input.min = RULE_LIMITS[field].min;
+      input.max = RULE_LIMITS[field].max;
+      input.value = custom[field];
+    });
+
+    const getPreset = () => presets.querySelector('input:checked').value;
+    const getRules = () => {
+      if (getPreset() !== 'custom') return resolveRules(RULE_PRESETS[getPreset()]);
+
+      const rules = {};
+      Object.entries(fields).forEach(([field, id]) => {
+        rules[field] = document.getElementById(id).value;
+      });
+      return resolveRules(rules);
+    };
+
+    const summary = document.getElementById('rules-summary');
+    const update = () => {
+      editor.hidden = getPreset() !== 'custom';
+      if (summary) {
+        summary.textContent = describeRules(getRules());
+      }
+    };
+
+    presets.addEventListener('change', update);
+    editor.addEventListener('input', update);
+    update();
+
+    startBtn.addEventListener('click', () => {
+      const rules = getRules();
+      if (getPreset() === 'custom') {
+        saveCustomRules(rules);
+      }
+      window.location.href = `game.html?rules=${encodeURIComponent(getRulesKey(rules))}`;
+    });
+
+    const list = document.getElementById('rules-runs');
+    if (!list) return;
+
+    list.innerHTML = Object.entries(getRulesetStats())
+      .map(([rulesKey, run]) => ({ rules: parseRulesKey(rulesKey), run }))
+      .filter(({ rules }) => rules)
+      .sort((a, b) => b.run.highScore - a.run.highScore)
+      .map(({ rules, run }) => `
+        <div class="category-run-item">
+          <span title="${describeRules(rules)}">${getRulesLabel(rules)} · ${describeRules(rules)}</span>
+          <span class="category-run-score">${run.highScore} · ${run.rank}</span>
+        </div>
+      `).join('');
+  }
+
+  /**
+   * Hot-seat setup: player names and rounds
+   */
+  initHotseatPicker() {
+    const inputs = Array.from(document.querySelectorAll('.hotseat-name'));
+    const roundsInput = document.getElementById('hotseat-rounds');
+    const startBtn = document.getElementById('hotseat-start-btn');
+    if (inputs.length === 0 || !startBtn) return;
+
+    const getNames = () => normalizePlayerNames(inputs.map(input => input.value));
+
+    inputs.forEach(input => {
+      input.addEventListener('input', () => {
+        startBtn.disabled = getNames().length < MIN_PLAYERS;
+      });
+    });
+
+    startBtn.addEventListener('click', () => {
+      const names = getNames();
+      if (names.length < MIN_PLAYERS) return;
+
+      const params = new URLSearchParams({
+        mode: 'hotseat',
+        players: names.join(','),
+        rounds: String(Math.max(1, Number(roundsInput && roundsInput.value) || DEFAULT_ROUNDS))
+      });
+      window.location.href = `game.html?${params}`;
+    });
+  }
+
+  /**
+   * Split-screen duel setup: two names and the round wins needed
+   */
+  initDuelPicker() {
+    const startBtn = document.getElementById('duel-start-btn');
+    if (!startBtn) return;
+
+    startBtn.addEventListener('click', () => {
+      const names = ['duel-player-1', 'duel-player-2'].map(id => {
+        const input = document.getElementById(id);
+        return input ? input.value : '';
+      });
+      const winsSelect = document.getElementById('duel-wins');
+
+      // Blank names become "Player 1" / "Player 2" (see modes.getDuelConfig)
+      const params = new URLSearchParams({
+        mode: 'duel',
+        players: names.map(name => name.replace(/,/g, '').trim()).join(','),
+        wins: winsSelect ? winsSelect.value : String(DUEL_WINS)
+      });
+      window.location.href = `game.html?${params}`;
+    });
+  }
+
+  /**
+   * List the best-run ghosts that can be raced
+   */
+  displayGhosts() {
+    const list = document.getElementById('ghost-list');
+    if (!list) return;
+
+    const ghosts = Object.values(getGhosts()).filter(isValidRecording);
+    if (ghosts.length === 0) {
+      list.innerHTML = '<p class="no-games">Set a high score to leave a ghost behind</p>';
+      return;
+    }
+
+    list.innerHTML = ghosts
+      .sort((a, b) => b.score - a.score)
+      .map(ghost => `
+        <div class="category-run-item">
+          <span>${ghost.runLabel ? `${ghost.runLabel} Run` : getRunLabel({ rules: ghost.rules })} · ${ghost.challenges.length} challenges</span>
+          <span class="category-run-score">${ghost.score}</span>
+          <a class="btn-link" href="game.html?mode=ghost&key=${encodeURIComponent(ghost.key)}">Race 👻</a>
+        </div>
+      `).join('');
+  }
+
+  /**
+   * Replay import: check the chosen file and play it on the game page
+   */
+  initReplayPicker() {
+    const input = document.getElementById('replay-file');
+    const status = document.getElementById('replay-status');
+    if (!input) return;
+
+    input.addEventListener('change', async () => {
+      const file = input.files[0];
+      if (!file) return;
+
+      try {
+        const replay = await importReplay(file);
+        if (!isValidReplay(replay)) {
+          throw new Error('Not a replay file');
+        }
+        saveReplay(replay);
+        window.location.href = 'game.html?mode=replay';
+      } catch (error) {
+        console.error('Error importing replay:', error);
+        if (status) {
+          status.textContent = 'This file is not a replay this version can play.';
+        }
+        input.value = '';
+      }
+    });
+  }
+
   /**
    * Display stats on landing page
    */
@@ -135,6 +806,72 @@ class App {
 
     // Update recent games (if container exists)
     this.displayRecentGames(stats.history);
+
+    // Update daily challenge streak and calendar
+    this.displayDaily();
+  }
+
+  /**
+   * Display daily challenge streak and calendar
+   */
+  displayDaily() {
+    const daily = getDailyStats();
+    const todayKey = getDateKey();
+
+    const streakEl = document.getElementById('daily-streak');
+    if (streakEl) {
+      streakEl.textContent = daily.currentStreak;
+    }
+
+    const dailyBtn = document.getElementById('daily-btn');
+    const dailyBtnText = document.getElementById('daily-btn-text');
+    if (dailyBtn && dailyBtnText && daily.results[todayKey]) {
+      dailyBtn.classList.add('daily-done');
+      dailyBtnText.textContent = `DONE ✓ ${daily.results[todayKey].score}`;
+    }
+
+    const container = document.getElementById('daily-calendar');
+    if (!container) return;
+
+    const year = this.calendarMonth.getFullYear();
+    const month = this.calendarMonth.getMonth();
+    const firstWeekday = new Date(year, month, 1).getDay();
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    const now = new Date();
+    const isCurrentMonth = year === now.getFullYear() && month === now.getMonth();
+    const monthLabel = this.calendarMonth.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+
+    const cells = [];
+    for (let i = 0; i < firstWeekday; i++) {
+      cells.push('<div></div>');
+    }
+
+    for (let day = 1; day <= daysInMonth; day++) {
+      const key = getDateKey(new Date(year, month, day));
+      const result = daily.results[key];
+      const classes = ['calendar-day'];
+      if (result) classes.push('played');
+      if (key === todayKey) classes.push('today');
+
+      cells.push(`
+        <div class="${classes.join(' ')}" ${result ? `title="${result.correct}/${result.total} correct"` : ''}>
+          <span>${day}</span>
+          ${result ? `<span class="day-score">${result.score}</span>` : ''}
+        </div>
+      `);
+    }
+
+    container.innerHTML = `
+      <div class="calendar-nav">
+        <button data-month-step="-1" aria-label="Previous month">‹</button>
+        <span>${monthLabel}</span>
+        <button data-month-step="1" aria-label="Next month" ${isCurrentMonth ? 'disabled' : ''}>›</button>
+      </div>
+      <div class="calendar-grid">
+        ${['S', 'M', 'T', 'W', 'T', 'F', 'S'].map(d => `<div class="calendar-weekday">${d}</div>`).join('')}
+        ${cells.join('')}
+      </div>
+    `;
   }
 
   /**
@@ -176,12 +913,185 @@ class App {
     // Set up UI event listeners
     this.setupUIEvents();
 
-    // Auto-start game
+    // Auto-start game, unless an interrupted run can be resumed
     setTimeout(() => {
-      engine.startGame();
+      const config = this.getRunConfig();
+      if (config.mode === 'duel') {
+        this.startDuel(config);
+        return;
+      }
+
+      // Replays never offer the interrupted run (it stays resumable)
+      if (config.playback) {
+        engine.startGame(config);
+        return;
+      }
+
+      this.pendingCheckpoint = this.getResumableCheckpoint();
+
+      if (this.pendingCheckpoint) {
+        const { config, state, challenge, answered } = this.pendingCheckpoint;
+        ui.showResumePrompt({
+          label: getRunLabel(config),
+          score: state.score,
+          lives: state.lives,
+          challengeNumber: answered ? challenge.index + 2 : challenge.index + 1,
+          unlimitedLives: hasUnlimitedLives(config)
+        });
+      } else {
+        engine.startGame(config);
+      }
     }, 500);
   }
 
+  /**
+   * Split-screen duel: two engines, each rendering into its own pane
+   * with its own answer channel (see core/duel.js)
+   */
+  startDuel(config) {
+    const container = document.getElementById('duel-container');
+    if (!container) return;
+
+    document.getElementById('game-container').classList.add('is-duel');
+    container.style.display = 'grid';
+
+    const roots = Array.from(container.querySelectorAll('.duel-pane'));
+    this.duelPanes = roots.map(root => new DuelPane(root));
+    this.duel = new Duel(roots.map(() => new GameEngine()));
+
+    roots.forEach((root, index) => {
+      const duelEngine = this.duel.engines[index];
+
+      // Answers bubble up from the challenge to its pane and stop there,
+      // so they never reach the page-wide listener (or the other player)
+      root.addEventListener('challengeAnswer', (e) => {
+        e.stopPropagation();
+        duelEngine.submitAnswer(e.detail.answer);
+      });
+
+      root.querySelector('.duel-prepare').addEventListener('click', () => {
+        duelEngine.skipPrepare();
+      });
+
+      this.setupDuelEngineEvents(duelEngine, this.duelPanes[index]);
+    });
+
+    this.setupDuelEvents();
+    this.duel.start(config);
+  }
+
+  /**
+   * Engine events for one duel pane
+   */
+  setupDuelEngineEvents(duelEngine, pane) {
+    duelEngine.on('challengeReady', async (data) => {
+      pane.hidePrepare();
+      pane.resetTimer(data.timeLimit);
+      await pane.renderChallenge(data.challenge);
+    });
+
+    duelEngine.on('challengePrepare', (data) => {
+      if (data.type === 'countdown') {
+        pane.showPrepare(data.count);
+      }
+    });
+
+    duelEngine.on('prepareTick', (data) => {
+      pane.showPrepare(data.count);
+    });
+
+    duelEngine.on('challengeStart', () => {
+      pane.hidePrepare();
+    });
+
+    duelEngine.on('timerTick', (data) => {
+      pane.updateTimer(data.timeRemaining, data.baseTime);
+    });
+
+    duelEngine.on('answerCorrect', (data) => {
+      pane.hidePrepare();
+      pane.showFeedback('correct', `✓ First! +${data.points.points}`);
+    });
+
+    duelEngine.on('answerWrong', (data) => {
+      pane.hidePrepare();
+      pane.showFeedback('wrong', data.lives > 0 ? '✗ Wrong - wait for the next round' : '✗ Out of lives');
+      this.updateDuelPanes(this.duel.getStatus());
+    });
+
+    duelEngine.on('timeout', () => {
+      pane.showFeedback('timeout', '⏱ Time\'s Up!');
+    });
+
+    duelEngine.on('challengeForfeited', (data) => {
+      pane.hidePrepare();
+      pane.showFeedback('forfeited', 'Too slow!', data.correctAnswer);
+    });
+
+    // Hiding the page pauses both engines; one pause screen is enough
+    duelEngine.on('gamePaused', () => {
+      if (duelEngine === this.duel.engines[0]) {
+        ui.showPause({ endLabel: 'End Duel' });
+      }
+    });
+  }
+
+  /**
+   * Duel events: scoreboard and result
+   */
+  setupDuelEvents() {
+    this.duel.on('duelStart', (status) => {
+      ui.hideGameOver();
+      this.updateDuelPanes(status);
+    });
+
+    this.duel.on('roundStart', (status) => {
+      this.updateDuelPanes(status);
+    });
+
+    this.duel.on('roundEnd', (data) => {
+      this.updateDuelPanes(data);
+    });
+
+    this.duel.on('duelOver', (data) => {
+      this.updateDuelPanes(data);
+      ui.showDuelOver(data);
+    });
+  }
+
+  /**
+   * Refresh both pane headers
+   * @param {Object} status - From duel.getStatus()
+   */
+  updateDuelPanes(status) {
+    this.duelPanes.forEach((pane, index) => {
+      pane.updateStatus(status.players[index], status.winsNeeded);
+    });
+  }
+
+  /**
+   * Get the checkpoint of an interrupted run, if it can still be resumed
+   */
+  getResumableCheckpoint() {
+    const checkpoint = loadCheckpoint();
+    if (!checkpoint) return null;
+
+    if (checkpoint.version !== CHECKPOINT_VERSION || !checkpoint.state) {
+      clearCheckpoint();
+      return null;
+    }
+
+    return checkpoint;
+  }
+
+  /**
+   * Build the run configuration from the page URL
+   * e.g. game.html?mode=daily or game.html?seed=12345
+   */
+  getRunConfig() {
+    return buildRunConfig(new URLSearchParams(window.location.search));
+  }
+
   /**
    * Set up engine event listeners
    */
@@ -190,6 +1100,15 @@ class App {
     engine.on('gameStart', (state) => {
       console.log('Game started', state);
       ui.reset();
+      ui.applyRunConfig(engine.config);
+
+      // Resumed runs start from their saved score and lives
+      ui.updateScore(state.score);
+      ui.updateLives(state.lives);
+      ui.updateDifficulty(state.difficulty);
+      ui.updatePowerUps(state.powerUps);
+      this.startGhost();
+      this.startReplay();
     });
 
     // Challenge ready
@@ -197,40 +1116,102 @@ class App {
       console.log('Challenge ready:', data.challenge.id);
       
       ui.updateDifficulty(data.difficulty);
+      ui.updateProgress(data.challengeNumber, data.challengeCount);
+      ui.hidePrepare();
+      ui.hideExplanation();
+      ui.setTimerFrozen(false);
       ui.resetTimer(data.timeLimit);
       
       await ui.renderChallenge(data.challenge);
     });
 
+    // Reading countdown (memorize phases are shown by the challenge itself)
+    engine.on('challengePrepare', (data) => {
+      if (data.type === 'countdown') {
+        ui.showPrepare(data.count);
+      }
+    });
+
+    engine.on('prepareTick', (data) => {
+      ui.updatePrepare(data.count);
+    });
+
+    // Clock starts
+    engine.on('challengeStart', () => {
+      ui.hidePrepare();
+    });
+
+    // Paused (pause button, ESC, or auto-pause when the page is hidden)
+    engine.on('gamePaused', () => {
+      let endLabel = null;
+      if (engine.config.mode === 'practice') {
+        endLabel = 'End Practice';
+      } else if (engine.config.mode === 'zen') {
+        endLabel = 'End Session';
+      } else if (engine.config.mode === 'training') {
+        endLabel = 'End Training';
+      } else if (hasUnlimitedLives(engine.config)) {
+        endLabel = 'End Run';
+      }
+      ui.showPause({ endLabel });
+    });
+
     // Timer tick
     engine.on('timerTick', (data) => {
       ui.updateTimer(data.timeRemaining, data.baseTime);
     });
 
+    // Session clock (Blitz)
+    engine.on('sessionTick', (data) => {
+      ui.updateSessionClock(data.sessionRemaining, data.sessionTime);
+    });
+
+    engine.on('sessionExtended', (data) => {
+      ui.showSessionBonus(data.seconds);
+    });
+
+    // Hot-seat turns
+    engine.on('turnHandoff', (data) => {
+      ui.hidePrepare();
+      ui.showHandoff(data);
+    });
+
+    engine.on('turnStart', (data) => {
+      ui.hideHandoff();
+      ui.updateTurn(data);
+    });
+
     // Correct answer
     engine.on('answerCorrect', async (data) => {
       console.log('✓ Correct!', data);
       
+      ui.hidePrepare();
       ui.updateScore(data.score);
       ui.updateDifficulty(data.difficulty);
       
-      await ui.showCorrectFeedback();
+      await ui.showCorrectFeedback(data.points);
     });
 
     // Wrong answer
     engine.on('answerWrong', async (data) => {
       console.log('✗ Wrong', data);
       
+      ui.hidePrepare();
       ui.updateLives(data.lives, false);
       
-      await ui.showWrongFeedback(data.correctAnswer);
+      await ui.showWrongFeedback(data.explained ? null : data.correctAnswer);
     });
 
     // Timeout
     engine.on('timeout', async (data) => {
       console.log('⏱ Timeout', data);
       
-      await ui.showTimeoutFeedback(data.correctAnswer);
+      await ui.showTimeoutFeedback(data.explained ? null : data.correctAnswer);
+    });
+
+    // "Why?" panel - the next challenge waits until it is dismissed
+    engine.on('explanationReady', (data) => {
+      ui.showExplanation(data);
     });
 
     // Life gained
@@ -241,46 +1222,245 @@ class App {
       await ui.showLifeGainedNotification();
     });
 
+    // Power-ups
+    engine.on('powerUpsChanged', (data) => {
+      ui.updatePowerUps(data.inventory, data.available);
+    });
+
+    // Hints
+    engine.on('hintsChanged', (data) => {
+      ui.updateHints(data);
+    });
+
+    engine.on('hintShown', (data) => {
+      ui.showHint(data.text);
+    });
+
+    engine.on('powerUpEarned', async (data) => {
+      console.log('Power-up earned:', data.type);
+      
+      await ui.showPowerUpEarnedNotification(data.type);
+    });
+
+    engine.on('challengeSkipped', async () => {
+      ui.hidePrepare();
+      await ui.showPowerUpNotification('⏭️ Skipped');
+    });
+
+    engine.on('timerFrozen', () => {
+      ui.setTimerFrozen(true);
+    });
+
+    engine.on('timerUnfrozen', () => {
+      ui.setTimerFrozen(false);
+    });
+
     // Game over
     engine.on('gameOver', (data) => {
       console.log('Game over', data);
       
+      this.stopGhost();
+      this.lastReplay = data.replay;
+      this.review = { entries: (data.runLog || []).filter(isMistake), position: 0, challenge: null };
       ui.showGameOver(data);
     });
   }
 
+  /**
+   * Ghost race: play the recording back against the run clock (which stops
+   * while paused, so the ghost waits too)
+   */
+  startGhost() {
+    this.stopGhost();
+    if (engine.config.mode !== 'ghost') return;
+
+    const recording = getGhost(engine.config.ghostKey);
+    if (!isValidRecording(recording)) return;
+
+    const ghost = new GhostPlayback(recording);
+    const update = () => {
+      ghost.update(engine.getRunTime());
+      ui.updateGhost(ghost.state, ghost.compare(engine.state.score, engine.state.runLog.length));
+    };
+
+    update();
+    this.ghostInterval = setInterval(update, 250);
+  }
+
+  /**
+   * Replay playback: feed the stored replay's inputs to the engine
+   */
+  startReplay() {
+    if (!engine.config.playback) return;
+
+    if (!this.replayPlayer) {
+      const replay = loadReplay();
+      if (!isValidReplay(replay)) return;
+      this.replayPlayer = new ReplayPlayer(engine, replay);
+    }
+    this.replayPlayer.start();
+  }
+
+  /**
+   * Stop the ghost display refresh
+   */
+  stopGhost() {
+    if (this.ghostInterval) {
+      clearInterval(this.ghostInterval);
+      this.ghostInterval = null;
+    }
+  }
+
+  /**
+   * Show a missed challenge on the review screen
+   * @param {number} position - Index among the run's mistakes
+   */
+  showReviewAt(position) {
+    if (!this.review || !this.review.entries[position]) return;
+    
+    this.closeReviewChallenge();
+    
+    const entry = this.review.entries[position];
+    this.review.position = position;
+    this.review.challenge = engine.rebuildChallenge(entry);
+    
+    ui.showReview({
+      entry,
+      challenge: this.review.challenge,
+      position,
+      total: this.review.entries.length
+    });
+  }
+
+  /**
+   * Clean up the challenge shown on the review screen
+   */
+  closeReviewChallenge() {
+    if (this.review && this.review.challenge && this.review.challenge.cleanup) {
+      this.review.challenge.cleanup();
+    }
+    if (this.review) {
+      this.review.challenge = null;
+    }
+  }
+
   /**
    * Set up UI event listeners
    */
   setupUIEvents() {
     // Listen for challenge answers
     window.addEventListener('challengeAnswer', (e) => {
+      // Replays answer from the recording
+      if (engine.config.playback) return;
+
       const { answer } = e.detail;
       console.log('Answer submitted:', answer);
       engine.submitAnswer(answer);
     });
 
+    // Boss rounds moving on to their next stage
+    window.addEventListener('challengeStage', () => {
+      engine.handleStageChange();
+    });
+
     // Play again button (delegated event)
     document.addEventListener('click', (e) => {
       if (e.target.id === 'play-again-btn') {
+        this.closeReviewChallenge();
         ui.hideGameOver();
         setTimeout(() => {
-          engine.startGame();
+          if (this.duel) {
+            this.duel.start(this.getRunConfig());
+          } else {
+            engine.startGame(this.getRunConfig());
+          }
         }, 300);
       }
 
+      if (e.target.id === 'export-replay-btn' && this.lastReplay) {
+        exportReplay(this.lastReplay);
+      }
+
+      if (e.target.id === 'review-btn') {
+        this.showReviewAt(0);
+      }
+
+      if (e.target.id === 'review-prev-btn' && this.review) {
+        this.showReviewAt(this.review.position - 1);
+      }
+
+      if (e.target.id === 'review-next-btn' && this.review) {
+        this.showReviewAt(this.review.position + 1);
+      }
+
+      if (e.target.id === 'review-close-btn') {
+        this.closeReviewChallenge();
+        ui.hideReview();
+      }
+
       if (e.target.id === 'back-home-btn') {
         window.location.href = 'index.html';
       }
 
-      if (e.target.id === 'pause-btn') {
-        engine.pauseGame();
-        ui.showPause();
+      if (e.target.closest('#prepare-overlay')) {
+        engine.skipPrepare();
+      }
+
+      const powerUpBtn = e.target.closest('[data-powerup]');
+      if (powerUpBtn) {
+        engine.usePowerUp(powerUpBtn.dataset.powerup);
+      }
+
+      if (e.target.id === 'handoff-ready-btn') {
+        engine.beginTurn();
+      }
+
+      if (e.target.id === 'explain-continue-btn') {
+        ui.hideExplanation();
+        engine.dismissExplanation();
+      }
+
+      if (e.target.closest('#hint-btn')) {
+        engine.useHint();
+      }
+
+      if (e.target.closest('#pause-btn')) {
+        if (this.duel) {
+          this.duel.pause();
+        } else {
+          engine.pauseGame();
+        }
       }
 
       if (e.target.id === 'resume-btn') {
         ui.hidePause();
-        engine.resumeGame();
+        if (this.duel) {
+          this.duel.resume();
+        } else {
+          engine.resumeGame();
+        }
+      }
+
+      if (e.target.id === 'resume-run-btn') {
+        ui.hidePause();
+        engine.resumeRun(this.pendingCheckpoint);
+        this.pendingCheckpoint = null;
+      }
+
+      if (e.target.id === 'new-run-btn') {
+        ui.hidePause();
+        clearCheckpoint();
+        this.pendingCheckpoint = null;
+        engine.startGame(this.getRunConfig());
+      }
+
+      if (e.target.id === 'end-run-btn') {
+        ui.hidePause();
+        if (this.duel) {
+          this.duel.finish();
+        } else {
+          engine.endGame();
+        }
       }
 
       if (e.target.id === 'quit-btn') {
@@ -292,9 +1472,12 @@ class App {
 
     // Pause on ESC key
     document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape' && engine.state.isPlaying && !engine.state.isPaused) {
+      if (e.key !== 'Escape') return;
+
+      if (this.duel) {
+        this.duel.pause();
+      } else if (engine.state.isPlaying && !engine.state.isPaused) {
         engine.pauseGame();
-        ui.showPause();
       }
     });
   }
@@ -79,8 +79,10 @@ export function createExampleChallenge(difficulty) {
       if (submitBtn) {
         submitBtn.addEventListener('click', () => {
           const answer = input.value;
-          // This will be handled by the engine
-          window.dispatchEvent(new CustomEvent('challengeAnswer', { 
+          // Dispatch from an element inside the containers: the event bubbles
+          // to whoever owns this challenge (the page, or one half of a duel)
+          submitBtn.dispatchEvent(new CustomEvent('challengeAnswer', {
+            bubbles: true,
             detail: { answer } 
           }));
         });
@@ -91,7 +93,8 @@ export function createExampleChallenge(difficulty) {
         input.addEventListener('keypress', (e) => {
           if (e.key === 'Enter') {
             const answer = input.value;
-            window.dispatchEvent(new CustomEvent('challengeAnswer', { 
+            input.dispatchEvent(new CustomEvent('challengeAnswer', {
+              bubbles: true,
               detail: { answer } 
             }));
           }
@@ -108,6 +111,48 @@ export function createExampleChallenge(difficulty) {
       return validateNumber(answer, this.correctAnswer);
     },
     
+    /**
+     * Optional: memorize phase run after render, before the clock starts
+     * Defining it replaces the 3-2-1 reading countdown (see prepareTime in
+     * registry metadata), so only add it to challenges that need one
+     */
+    // async memorize() {},
+
+    /**
+     * Optional: progressive hints shown by the hint button (the engine
+     * applies the score penalty and caps the number of hints)
+     * @param {number} level - 1 for the first hint, then 2, 3...
+     * @returns {string|null} Hint text, or null when there are no more
+     */
+    hint(level) {
+      if (level === 1) return `Start with ${challengeData.num1}`;
+      return null;
+    },
+
+    /**
+     * Optional: explain the answer after a wrong answer or timeout
+     * Shown in the "Why?" panel; the next challenge waits until it is closed
+     * @param {any} answer - The player's answer (undefined on timeout)
+     * @returns {string} HTML
+     */
+    explain(answer) {
+      return `<div class="explain-step">${challengeData.num1} + ${challengeData.num2} = ${this.correctAnswer}</div>`;
+    },
+
+    /**
+     * Optional: apply the correct answer to the rendered challenge
+     * Used by the "Review mistakes" screen, which re-renders missed
+     * challenges read-only
+     */
+    // showSolution() {},
+
+    /**
+     * Optional: freeze/continue playback or animations while the game is paused
+     * Use createPausableClock() from utils/timing.js instead of raw setTimeout
+     */
+    pause() {},
+    resume() {},
+
     /**
      * Clean up (remove event listeners, intervals, etc.)
      */
@@ -169,7 +214,8 @@ export function createMultipleChoiceTemplate(difficulty) {
       choices.forEach((btn) => {
         btn.addEventListener('click', () => {
           const answer = parseInt(btn.dataset.index);
-          window.dispatchEvent(new CustomEvent('challengeAnswer', { 
+          btn.dispatchEvent(new CustomEvent('challengeAnswer', {
+            bubbles: true,
             detail: { answer } 
           }));
         });
@@ -249,7 +295,8 @@ export function createInteractiveTemplate(difficulty) {
       });
       
       submitBtn.addEventListener('click', () => {
-        window.dispatchEvent(new CustomEvent('challengeAnswer', { 
+        submitBtn.dispatchEvent(new CustomEvent('challengeAnswer', {
+          bubbles: true,
           detail: { answer: selectedItems.sort((a, b) => a - b) } 
         }));
       });
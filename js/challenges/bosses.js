@@ -0,0 +1,24 @@
+/**
+ * Boss Challenges
+ * Composite challenges played as milestone boss rounds (see
+ * GameEngine.selectChallenge). Memorized stages come first and are
+ * answered last (see challenges/composite.js)
+ */
+
+import { registerComposite } from './registry.js';
+
+// Register all boss challenges
+registerComposite('boss-grid-recall', ['shape-grid', 'arithmetic'], {
+  name: '👑 Boss: Hold the Pattern',
+  description: 'Memorize a grid, solve a sum, then recall the grid'
+});
+
+registerComposite('boss-sequence-recall', ['color-sequence', 'fraction-comparison'], {
+  name: '👑 Boss: Colors Under Pressure',
+  description: 'Memorize a color sequence, compare fractions, then repeat the colors'
+});
+
+registerComposite('boss-gauntlet', ['arithmetic', 'odd-one-out', 'water-levels'], {
+  name: '👑 Boss: Gauntlet',
+  description: 'A sum, an odd one out and a water puzzle back to back'
+});
@@ -0,0 +1,250 @@
+/**
+ * Composite Challenges
+ * Several registered challenges played as one, in stages, inside one combined
+ * timer (see registry.registerComposite). Stages with a memorize phase are
+ * shown first and answered last, so a boss can ask you to memorize a grid,
+ * solve a sum, then recall the grid
+ */
+
+/**
+ * One stage's answer from a combined answer (undefined if never given)
+ */
+function getStageAnswer(answer, index) {
+  return Array.isArray(answer) && answer[index] !== null ? answer[index] : undefined;
+}
+
+/**
+ * Build a composite challenge instance
+ * @param {string} id - Composite challenge ID
+ * @param {string} title - Shown above the stages
+ * @param {Object[]} stages - Registry entries {id, category, factory, metadata}
+ * @param {number} difficulty - Level every stage is built at (capped per stage)
+ * @returns {Object} Challenge instance
+ */
+export function createCompositeChallenge(id, title, stages, difficulty) {
+  const children = stages.map(stage => stage.factory(Math.min(difficulty, stage.metadata.maxDifficulty)));
+
+  // Answering order: plain stages as listed, then the memorized ones
+  const memorized = children
+    .map((child, index) => (child.memorize ? index : null))
+    .filter(index => index !== null);
+  const order = children
+    .map((child, index) => index)
+    .filter(index => !memorized.includes(index))
+    .concat(memorized);
+
+  const answers = [];
+  let position = 0; // Index into `order` of the stage being answered
+  let panes = [];   // Per child: { content, answer } elements
+  let progress = null;
+  let answerArea = null;
+  let hintStage = null; // Child whose hints were taken last...
+  let hintBase = 0;     // ...and the boss's hints taken before its first
+  let submitted = false;
+
+  const styles = `
+    <style>
+      .composite-progress {
+        text-align: center;
+        font-size: 0.85rem;
+        font-weight: 700;
+        letter-spacing: 1px;
+        text-transform: uppercase;
+        color: #764ba2;
+        margin-bottom: 10px;
+      }
+    </style>
+  `;
+
+  /**
+   * Show one child's panes, and say which stage it is
+   * @param {number} index - Child index
+   * @param {boolean} withAnswers - Show its answer area too
+   */
+  function showChild(index, withAnswers) {
+    panes.forEach((pane, paneIndex) => {
+      pane.content.style.display = paneIndex === index ? '' : 'none';
+      pane.answer.style.display = paneIndex === index && withAnswers ? '' : 'none';
+    });
+
+    const stage = order.indexOf(index) + 1;
+    progress.textContent = withAnswers
+      ? `Stage ${stage} of ${children.length} · ${children[index].title || stages[index].metadata.name}`
+      : `Memorize · ${children[index].title || stages[index].metadata.name}`;
+  }
+
+  /**
+   * Submit the combined answer (every stage answered so far, by child index)
+   */
+  function submit() {
+    submitted = true;
+    answerArea.dispatchEvent(new CustomEvent('challengeAnswer', {
+      bubbles: true,
+      detail: { answer: children.map((child, index) => (index in answers ? answers[index] : null)) }
+    }));
+  }
+
+  const composite = {
+    id,
+    category: children[0].category,
+    difficulty,
+    title,
+    stages: children,
+    correctAnswer: children.map(child => child.correctAnswer),
+
+    async render(contentContainer, answerContainer) {
+      answerArea = answerContainer;
+      contentContainer.innerHTML = `${styles}<div class="composite-progress"></div>`;
+      progress = contentContainer.querySelector('.composite-progress');
+
+      panes = [];
+      for (const [index, child] of children.entries()) {
+        const pane = {
+          content: document.createElement('div'),
+          answer: document.createElement('div')
+        };
+        contentContainer.appendChild(pane.content);
+        answerContainer.appendChild(pane.answer);
+        panes.push(pane);
+
+        // A stage's answer moves the boss on instead of reaching the engine
+        const onAnswer = (e) => {
+          e.stopPropagation();
+          this.answerStage(index, e.detail.answer);
+        };
+        pane.content.addEventListener('challengeAnswer', onAnswer);
+        pane.answer.addEventListener('challengeAnswer', onAnswer);
+
+        await child.render(pane.content, pane.answer);
+      }
+
+      position = 0;
+      showChild(memorized.length > 0 ? memorized[0] : order[0], memorized.length === 0);
+    },
+
+    /**
+     * Record one stage's answer: a wrong one ends the boss, a right one
+     * moves to the next stage (or submits after the last)
+     */
+    answerStage(index, answer) {
+      if (submitted || index !== order[position]) return;
+
+      answers[index] = answer;
+      position++;
+
+      if (!children[index].check(answer) || position >= order.length) {
+        submit();
+        return;
+      }
+
+      showChild(order[position], true);
+
+      // The next stage has hints of its own (see GameEngine.handleStageChange)
+      answerArea.dispatchEvent(new CustomEvent('challengeStage', {
+        bubbles: true,
+        detail: { stage: position }
+      }));
+    },
+
+    /**
+     * Cleared only when every stage was answered correctly
+     * @param {any[]} answer - Stage answers by child index (null if unanswered)
+     */
+    check(answer) {
+      return children.every((child, index) => {
+        const stageAnswer = getStageAnswer(answer, index);
+        return stageAnswer !== undefined && child.check(stageAnswer);
+      });
+    },
+
+    /**
+     * Explain the stage that was missed (the one on screen after a timeout)
+     * @param {any[]} answer - Combined answer (undefined on timeout)
+     */
+    explain(answer) {
+      const given = Array.isArray(answer) ? answer : answers;
+      const missed = order.find(index => {
+        const stageAnswer = getStageAnswer(given, index);
+        return stageAnswer === undefined || !children[index].check(stageAnswer);
+      });
+      if (missed === undefined || !children[missed].explain) return '';
+
+      const html = children[missed].explain(getStageAnswer(given, missed));
+      return html ? `<div class="explain-step"><strong>${children[missed].title}</strong></div>${html}` : '';
+    },
+
+    /**
+     * Review: every stage at once, each with its solution
+     */
+    showSolution() {
+      panes.forEach(pane => {
+        pane.content.style.display = '';
+        pane.answer.style.display = '';
+      });
+      if (progress) {
+        progress.textContent = `${children.length} stages`;
+      }
+      children.forEach(child => {
+        if (child.showSolution) child.showSolution();
+      });
+    },
+
+    pause() {
+      children.forEach(child => {
+        if (child.pause) child.pause();
+      });
+    },
+
+    resume() {
+      children.forEach(child => {
+        if (child.resume) child.resume();
+      });
+    },
+
+    cleanup() {
+      children.forEach(child => {
+        if (child.cleanup) child.cleanup();
+      });
+      panes = [];
+    }
+  };
+
+  // Only bosses with something to memorize replace the reading countdown
+  if (memorized.length > 0) {
+    /**
+     * Memorize phase: each memorized stage in turn, then the first stage to answer
+     */
+    composite.memorize = async function () {
+      for (const index of memorized) {
+        if (!panes[index]) return;
+        showChild(index, false);
+        await children[index].memorize();
+      }
+      if (panes.length > 0) {
+        showChild(order[0], true);
+      }
+    };
+  }
+
+  /**
+   * Hints come from the stage being answered (none while it has none).
+   * The engine's level counts the whole boss's hints, as MAX_HINTS and the
+   * penalty do, so each stage's own hints start again at level 1
+   */
+  Object.defineProperty(composite, 'hint', {
+    get() {
+      const index = order[Math.min(position, order.length - 1)];
+      if (!children[index].hint) return null;
+
+      return (level) => {
+        if (hintStage !== index) {
+          hintStage = index;
+          hintBase = level - 1;
+        }
+        return children[index].hint(level - hintBase);
+      };
+    }
+  });
+
+  return composite;
+}
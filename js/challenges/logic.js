@@ -10,6 +10,7 @@
 import { getDifficultyParams } from '../core/difficulty.js';
 import { randomInt, randomChoice, shuffleArray, randomColor } from '../utils/random.js';
 import { validateNumber } from '../utils/validators.js';
+import { removeWrongOptions } from '../core/powerups.js';
 import { registerChallenge } from './registry.js';
 
 // --- Shared Helper: Numpad (Copy from Math module to ensure standalone functionality) ---
@@ -141,6 +142,12 @@ function createNumpad(container, onSubmit) {
   });
 }
 
+// Put a value in a rendered numpad's display (review solutions)
+function showNumpadValue(container, value) {
+  const display = container && container.querySelector('#calc-display');
+  if (display) display.textContent = value;
+}
+
 /**
  * 5. Sequence Prediction Challenge (Visual "Train" Style)
  */
@@ -148,10 +155,17 @@ export function createSequencePredictionChallenge(difficulty) {
   const params = getDifficultyParams('logic', difficulty);
   
   // Logic: Ensure numbers don't get astronomical on mobile
+  // rule/step describe the pattern for hints (seq is the visible part)
   const sequenceTypes = [
-    { name: 'Linear', gen: (s, d, i) => s + (i * d) },
-    { name: 'Geometric', gen: (s, d, i) => s * Math.pow(Math.min(d, 3), i) }, // Cap multiplier
-    { name: 'Fibonacci-ish', gen: (s, d, i, arr) => (i < 2 ? (i===0?s:d) : arr[i-1] + arr[i-2]) }
+    { name: 'Linear', gen: (s, d, i) => s + (i * d),
+      rule: (d) => `Each number adds ${d}`,
+      step: (seq, d) => `${seq[seq.length-1]} + ${d} = ?` },
+    { name: 'Geometric', gen: (s, d, i) => s * Math.pow(Math.min(d, 3), i), // Cap multiplier
+      rule: (d) => `Each number is multiplied by ${Math.min(d, 3)}`,
+      step: (seq, d) => `${seq[seq.length-1]} × ${Math.min(d, 3)} = ?` },
+    { name: 'Fibonacci-ish', gen: (s, d, i, arr) => (i < 2 ? (i===0?s:d) : arr[i-1] + arr[i-2]),
+      rule: () => 'Each number is the sum of the two before it',
+      step: (seq) => `${seq[seq.length-2]} + ${seq[seq.length-1]} = ?` }
   ];
   
   const type = randomChoice(sequenceTypes);
@@ -165,6 +179,7 @@ export function createSequencePredictionChallenge(difficulty) {
   }
   
   const answer = fullSequence.pop(); // Remove last
+  let answerArea = null; // Set once rendered
   
   return {
     id: 'sequence-prediction',
@@ -203,11 +218,28 @@ export function createSequencePredictionChallenge(difficulty) {
           <div class="seq-car missing">?</div>
         </div>
       `;
+      answerArea = answerContainer;
       createNumpad(answerContainer, (val) => {
-        window.dispatchEvent(new CustomEvent('challengeAnswer', { detail: { answer: val } }));
+        answerContainer.dispatchEvent(new CustomEvent('challengeAnswer', { bubbles: true, detail: { answer: val } }));
       });
     },
-    check(a) { return validateNumber(a, this.correctAnswer); }, cleanup() {}
+    check(a) { return validateNumber(a, this.correctAnswer); },
+    hint(level) {
+      if (level === 1) return `Pattern: ${type.name}`;
+      if (level === 2) return type.rule(diff);
+      if (level === 3) return type.step(fullSequence, diff);
+      return null;
+    },
+    explain() {
+      return `
+        <div class="explain-steps">
+          <div class="explain-step">${type.rule(diff)}</div>
+          <div class="explain-step">${type.step(fullSequence, diff).replace('?', answer)}</div>
+        </div>
+      `;
+    },
+    showSolution() { showNumpadValue(answerArea, this.correctAnswer); },
+    cleanup() {}
   };
 }
 
@@ -279,6 +311,9 @@ export function createOddOneOutChallenge(difficulty) {
     renderType = 'symbol';
   }
   
+  const cols = itemCount === 9 ? 3 : 4;
+  let board = null; // Set once rendered
+
   return {
     id: 'odd-one-out',
     category: 'logic',
@@ -287,7 +322,7 @@ export function createOddOneOutChallenge(difficulty) {
     correctAnswer: oddIndex,
     
     render(contentContainer, answerContainer) {
-      const cols = itemCount === 9 ? 3 : 4;
+      board = contentContainer;
       
       let itemsHTML;
       
@@ -390,13 +425,46 @@ export function createOddOneOutChallenge(difficulty) {
       const items = contentContainer.querySelectorAll('.visual-item');
       items.forEach(item => {
         item.addEventListener('click', () => {
-          window.dispatchEvent(new CustomEvent('challengeAnswer', { 
+          item.dispatchEvent(new CustomEvent('challengeAnswer', {
+            bubbles: true,
             detail: { answer: parseInt(item.dataset.index) } 
           }));
         });
       });
     },
     check(a) { return a === this.correctAnswer; }, 
+    /**
+     * Where the different one was and what set it apart, next to the player's pick
+     */
+    explain(answer) {
+      const difference = renderType === 'circle-size' ? 'a slightly bigger circle'
+        : renderType === 'circle-color' ? 'a lighter shade'
+        : `${theme.odd} among ${theme.base}`;
+      
+      return `
+        <div class="explain-steps">
+          <div class="explain-step">
+            Row ${Math.floor(oddIndex / cols) + 1}, column ${oddIndex % cols + 1} was ${difference}
+          </div>
+          <div class="explain-grid" style="grid-template-columns: repeat(${cols}, 32px);">
+            ${Array.from({ length: itemCount }, (_, i) => `
+              <span class="explain-swatch ${i === oddIndex ? 'explain-lit' : i === answer ? 'explain-mistake' : ''}"></span>
+            `).join('')}
+          </div>
+        </div>
+      `;
+    },
+    showSolution() {
+      const item = board && board.querySelector(`.visual-item[data-index="${this.correctAnswer}"]`);
+      if (item) item.classList.add('solution-highlight');
+    },
+    fiftyFifty() {
+      if (!board) return;
+      removeWrongOptions(
+        [...board.querySelectorAll('.visual-item')],
+        item => parseInt(item.dataset.index) === this.correctAnswer
+      );
+    },
     cleanup() {}
   };
 }
@@ -407,14 +475,20 @@ export function createOddOneOutChallenge(difficulty) {
 export function createTrueFalseLogicChallenge(difficulty) {
   // Simple syllogisms
   const statements = [
-    { p: ['All A are B', 'Some B are C'], c: 'All A are C', correct: false },
-    { p: ['All Cats are Mammals', 'All Mammals breathe'], c: 'All Cats breathe', correct: true },
-    { p: ['No Fish walk', 'Sharks are Fish'], c: 'No Sharks walk', correct: true },
-    { p: ['Some Birds fly', 'Penguins are Birds'], c: 'Penguins can fly', correct: false },
-    { p: ['If it rains, grass gets wet', 'The grass is wet'], c: 'It rained', correct: false } // Logic trap!
+    { p: ['All A are B', 'Some B are C'], c: 'All A are C', correct: false,
+      why: 'The B that are C may not include any A, so nothing follows about A and C.' },
+    { p: ['All Cats are Mammals', 'All Mammals breathe'], c: 'All Cats breathe', correct: true,
+      why: 'Every Cat is a Mammal and every Mammal breathes, so every Cat breathes.' },
+    { p: ['No Fish walk', 'Sharks are Fish'], c: 'No Sharks walk', correct: true,
+      why: 'Sharks belong to Fish, and nothing in Fish walks.' },
+    { p: ['Some Birds fly', 'Penguins are Birds'], c: 'Penguins can fly', correct: false,
+      why: 'Only some Birds fly - nothing says Penguins are among them.' },
+    { p: ['If it rains, grass gets wet', 'The grass is wet'], c: 'It rained', correct: false, // Logic trap!
+      why: 'Wet grass has other causes (a sprinkler). Reasoning back from the result is "affirming the consequent".' }
   ];
   
   const logic = randomChoice(statements);
+  let answerArea = null; // Set once rendered
   
   return {
     id: 'true-false-logic',
@@ -472,6 +546,7 @@ export function createTrueFalseLogicChallenge(difficulty) {
         </div>
       `;
       
+      answerArea = answerContainer;
       answerContainer.innerHTML = `
         <div class="tf-btn-group">
           <button class="tf-btn btn-true" data-val="true">VALID</button>
@@ -481,13 +556,27 @@ export function createTrueFalseLogicChallenge(difficulty) {
       
       answerContainer.querySelectorAll('.tf-btn').forEach(btn => {
         btn.addEventListener('click', () => {
-          window.dispatchEvent(new CustomEvent('challengeAnswer', { 
+          btn.dispatchEvent(new CustomEvent('challengeAnswer', {
+            bubbles: true,
             detail: { answer: btn.dataset.val === 'true' } 
           }));
         });
       });
     },
-    check(a) { return a === this.correctAnswer; }, cleanup() {}
+    check(a) { return a === this.correctAnswer; },
+    explain() {
+      return `
+        <div class="explain-steps">
+          <div class="explain-step"><strong>${logic.correct ? 'VALID' : 'INVALID'}</strong></div>
+          <div class="explain-step">${logic.why}</div>
+        </div>
+      `;
+    },
+    showSolution() {
+      const btn = answerArea && answerArea.querySelector(`.tf-btn[data-val="${this.correctAnswer}"]`);
+      if (btn) btn.classList.add('solution-highlight');
+    },
+    cleanup() {}
   };
 }
 
@@ -615,7 +704,8 @@ export function createSpatialReasoningChallenge(difficulty) {
       const cards = answerContainer.querySelectorAll('.opt-card');
       cards.forEach((c, i) => {
         // We need to re-bind the click to the actual object value we shuffled
-        c.onclick = () => window.dispatchEvent(new CustomEvent('challengeAnswer', { 
+        c.onclick = () => c.dispatchEvent(new CustomEvent('challengeAnswer', {
+           bubbles: true,
            detail: { answer: options[i].val } // 0 is always correct in this setup
         }));
       });
@@ -631,19 +721,23 @@ export function createSpatialReasoningChallenge(difficulty) {
 export function createNumberGridChallenge(difficulty) {
   const params = getDifficultyParams('logic', difficulty);
   
-  // Grid Patterns
+  // Grid Patterns (rule/step describe them for hints)
   const patterns = [
     { name: 'Row Sum', gen: () => {
         const g = [[1,2,3], [4,5,9], [2,3,5]]; // A+B=C
         // Randomize
         const m = randomInt(1,5);
         return g.map(row => row.map(x => x * m));
-      }, solve: (g) => g[2][0] + g[2][1] 
+      }, solve: (g) => g[2][0] + g[2][1],
+      rule: 'In each row, the first two numbers add up to the third',
+      step: (g) => `${g[2][0]} + ${g[2][1]} = ?`
     },
     { name: 'Col Increment', gen: () => {
         const start = randomInt(1,10);
         return [[start, start+1, start+2], [start+3, start+4, start+5], [start+6, start+7, start+8]];
-      }, solve: (g) => g[2][2]
+      }, solve: (g) => g[2][2],
+      rule: 'Reading row by row, each number is one more than the last',
+      step: (g) => `${g[2][1]} + 1 = ?`
     }
   ];
   
@@ -654,6 +748,7 @@ export function createNumberGridChallenge(difficulty) {
   // Hide bottom right for consistency in this simplified version, 
   // or logic to hide specific cell
   grid[2][2] = null; 
+  let answerArea = null; // Set once rendered
   
   return {
     id: 'number-grid',
@@ -693,11 +788,28 @@ export function createNumberGridChallenge(difficulty) {
           `).join('')}
         </div>
       `;
+      answerArea = answerContainer;
       createNumpad(answerContainer, (v) => {
-        window.dispatchEvent(new CustomEvent('challengeAnswer', { detail: { answer: v } }));
+        answerContainer.dispatchEvent(new CustomEvent('challengeAnswer', { bubbles: true, detail: { answer: v } }));
       });
     },
-    check(a) { return validateNumber(a, this.correctAnswer); }, cleanup() {}
+    check(a) { return validateNumber(a, this.correctAnswer); },
+    hint(level) {
+      if (level === 1) return `Pattern: ${pat.name}`;
+      if (level === 2) return pat.rule;
+      if (level === 3) return pat.step(grid);
+      return null;
+    },
+    explain() {
+      return `
+        <div class="explain-steps">
+          <div class="explain-step">${pat.rule}</div>
+          <div class="explain-step">${pat.step(grid).replace('?', answer)}</div>
+        </div>
+      `;
+    },
+    showSolution() { showNumpadValue(answerArea, this.correctAnswer); },
+    cleanup() {}
   };
 }
 
@@ -707,10 +819,12 @@ registerChallenge('sequence-prediction', 'logic', createSequencePredictionChalle
   name: 'Sequence', description: 'Next number?', minDifficulty: 1, baseTime: 40
 });
 registerChallenge('odd-one-out', 'logic', createOddOneOutChallenge, {
-  name: 'Odd One Out', description: 'Find the imposter', minDifficulty: 1, baseTime: 15
+  name: 'Odd One Out', description: 'Find the imposter', minDifficulty: 1, baseTime: 15, prepareTime: 2,
+  powerUps: ['skip', 'freeze', 'fiftyFifty']
 });
 registerChallenge('true-false-logic', 'logic', createTrueFalseLogicChallenge, {
-  name: 'Logic Check', description: 'True or False?', minDifficulty: 2, baseTime: 30
+  name: 'Logic Check', description: 'True or False?', minDifficulty: 2, baseTime: 30, prepareTime: 4
+  // No 50/50: with two options it would give the answer away
 });
 // registerChallenge('spatial-reasoning', 'logic', createSpatialReasoningChallenge, {
 //   name: 'Spatial View', description: 'Top view match', minDifficulty: 3, baseTime: 35
@@ -3,8 +3,9 @@
  */
 
 import { getDifficultyParams } from '../core/difficulty.js';
-import { randomInt, randomChoice } from '../utils/random.js';
+import { randomInt, randomChoice, randomBool } from '../utils/random.js';
 import { validateNumber } from '../utils/validators.js';
+import { removeWrongOptions } from '../core/powerups.js';
 import { registerChallenge } from './registry.js';
 
 // --- 1. Enhanced Math Renderer with Beautiful Styling ---
@@ -213,13 +214,20 @@ function createNumpad(container, onSubmit) {
   });
 }
 
+// Put a value in a rendered numpad's display (review solutions)
+function showNumpadValue(container, value) {
+  const display = container && container.querySelector('#calc-display');
+  if (display) display.textContent = value;
+}
+
 // --- 3. Arithmetic Challenge (Enhanced) ---
 export function createArithmeticChallenge(difficulty) {
   const params = getDifficultyParams('math', difficulty);
   const operations = params.operations.filter(op => op !== '/');
   const operation = randomChoice(operations);
   
-  let num1, num2, answer, latexExpression;
+  let num1, num2, answer, latexExpression, steps;
+  let answerArea = null; // Set once rendered
   
   switch (operation) {
     case '+':
@@ -227,12 +235,14 @@ export function createArithmeticChallenge(difficulty) {
       num2 = randomInt(params.minNumber, params.maxNumber);
       answer = num1 + num2;
       latexExpression = `${num1} + ${num2} = \\,?`;
+      steps = splitTens(num1, '+', num2, answer);
       break;
     case '-':
       num1 = randomInt(params.minNumber, params.maxNumber);
       num2 = randomInt(params.minNumber, num1);
       answer = num1 - num2;
       latexExpression = `${num1} - ${num2} = \\,?`;
+      steps = splitTens(num1, '−', num2, answer);
       break;
     case '*':
       const maxFactor = 12; 
@@ -240,6 +250,9 @@ export function createArithmeticChallenge(difficulty) {
       num2 = randomInt(2, Math.max(2, Math.min(12, Math.floor(params.maxNumber / num1))));
       answer = num1 * num2;
       latexExpression = `${num1} \\times ${num2} = \\,?`;
+      steps = num2 > 10
+        ? [`${num1} × ${num2} = ${num1} × 10 + ${num1} × ${num2 - 10}`, `= ${num1 * 10} + ${num1 * (num2 - 10)} = ${answer}`]
+        : [`${num1} × ${num2} = ${answer}`];
       break;
   }
   
@@ -251,26 +264,56 @@ export function createArithmeticChallenge(difficulty) {
     correctAnswer: answer,
     
     render(c, a) { 
+      answerArea = a;
       c.innerHTML = `
         <div style="padding: 20px;">
           ${renderMath(latexExpression)}
         </div>
       `; 
-      createNumpad(a, v => window.dispatchEvent(new CustomEvent('challengeAnswer', { detail: { answer: v } }))); 
+      createNumpad(a, v => a.dispatchEvent(new CustomEvent('challengeAnswer', { bubbles: true, detail: { answer: v } }))); 
     },
     check(a) { return validateNumber(a, this.correctAnswer); }, 
+    explain() { return explainSteps(steps); },
+    showSolution() { showNumpadValue(answerArea, this.correctAnswer); },
     cleanup() {}
   };
 }
 
+/**
+ * Worked steps for a sum or difference, splitting off the tens of the second number
+ */
+function splitTens(num1, op, num2, answer) {
+  const tens = num2 - (num2 % 10);
+  const units = num2 % 10;
+  if (tens === 0 || units === 0) return [`${num1} ${op} ${num2} = ${answer}`];
+
+  const partial = op === '+' ? num1 + tens : num1 - tens;
+  return [
+    `${num1} ${op} ${num2} = ${num1} ${op} ${tens} ${op} ${units}`,
+    `= ${partial} ${op} ${units} = ${answer}`
+  ];
+}
+
+/**
+ * Explanation HTML from lines of working
+ */
+function explainSteps(lines) {
+  return `
+    <div class="explain-steps">
+      ${lines.map(line => `<div class="explain-step">${line}</div>`).join('')}
+    </div>
+  `;
+}
+
 // --- 4. Division Challenge (Enhanced) ---
 export function createDivisionChallenge(difficulty) {
   const params = getDifficultyParams('math', difficulty);
   const divisor = randomInt(2, params.divisorMax || 10);
   const quotient = randomInt(2, 12);
   const dividend = divisor * quotient;
-  const useFraction = Math.random() > 0.5;
+  const useFraction = randomBool();
   const latexExpression = useFraction ? `\\frac{${dividend}}{${divisor}} = \\,?` : `${dividend} \\div ${divisor} = \\,?`;
+  let answerArea = null; // Set once rendered
 
   return {
     id: 'division', 
@@ -280,14 +323,22 @@ export function createDivisionChallenge(difficulty) {
     correctAnswer: quotient,
     
     render(c, a) { 
+      answerArea = a;
       c.innerHTML = `
         <div style="padding: 20px;">
           ${renderMath(latexExpression)}
         </div>
       `; 
-      createNumpad(a, v => window.dispatchEvent(new CustomEvent('challengeAnswer', { detail: { answer: v } }))); 
+      createNumpad(a, v => a.dispatchEvent(new CustomEvent('challengeAnswer', { bubbles: true, detail: { answer: v } }))); 
     },
     check(a) { return validateNumber(a, this.correctAnswer); }, 
+    explain() {
+      return explainSteps([
+        `${dividend} ÷ ${divisor} = ${quotient}`,
+        `because ${divisor} × ${quotient} = ${dividend}`
+      ]);
+    },
+    showSolution() { showNumpadValue(answerArea, this.correctAnswer); },
     cleanup() {}
   };
 }
@@ -304,6 +355,7 @@ export function createFractionComparisonChallenge(difficulty) {
   const ans = Math.abs(val1 - val2) < 0.0001 ? '=' : (val1 < val2 ? '<' : '>'); 
   
   const latex = `\\frac{${num1}}{${den1}} \\quad \\boxed{?} \\quad \\frac{${num2}}{${den2}}`;
+  let answerArea = null; // Set once rendered
 
   return {
     id: 'fraction-comparison', 
@@ -313,6 +365,7 @@ export function createFractionComparisonChallenge(difficulty) {
     correctAnswer: ans,
     
     render(c, a) {
+      answerArea = a;
       c.innerHTML = `
         <div style="padding: 20px;">
           ${renderMath(latex)}
@@ -340,13 +393,34 @@ export function createFractionComparisonChallenge(difficulty) {
           }
         </style>
         <div style="display:flex; gap:12px; justify-content:center; width:100%; max-width:320px; margin:0 auto;">
-          <button class="comparison-btn" onclick="window.dispatchEvent(new CustomEvent('challengeAnswer', {detail:{answer:'<'}}))">&lt;</button>
-          <button class="comparison-btn" onclick="window.dispatchEvent(new CustomEvent('challengeAnswer', {detail:{answer:'='}}))">=</button>
-          <button class="comparison-btn" onclick="window.dispatchEvent(new CustomEvent('challengeAnswer', {detail:{answer:'>'}}))">&gt;</button>
+          <button class="comparison-btn" data-answer="<" onclick="this.dispatchEvent(new CustomEvent('challengeAnswer', {bubbles:true, detail:{answer:'<'}}))">&lt;</button>
+          <button class="comparison-btn" data-answer="=" onclick="this.dispatchEvent(new CustomEvent('challengeAnswer', {bubbles:true, detail:{answer:'='}}))">=</button>
+          <button class="comparison-btn" data-answer=">" onclick="this.dispatchEvent(new CustomEvent('challengeAnswer', {bubbles:true, detail:{answer:'>'}}))">&gt;</button>
         </div>
       `;
     },
     check(a) { return a === this.correctAnswer; }, 
+    explain() {
+      // Cross-multiply: a/b vs c/d compares a×d with c×b
+      const left = num1 * den2;
+      const right = num2 * den1;
+      return explainSteps([
+        `Cross-multiply: ${num1} × ${den2} = ${left} and ${num2} × ${den1} = ${right}`,
+        `${left} ${ans} ${right}, so ${num1}/${den1} ${ans} ${num2}/${den2}`
+      ]);
+    },
+    showSolution() {
+      if (!answerArea) return;
+      const btn = answerArea.querySelector(`.comparison-btn[data-answer="${ans}"]`);
+      if (btn) btn.classList.add('solution-highlight');
+    },
+    fiftyFifty() {
+      if (!answerArea) return;
+      removeWrongOptions(
+        [...answerArea.querySelectorAll('.comparison-btn')],
+        btn => btn.dataset.answer === this.correctAnswer
+      );
+    },
     cleanup() {}
   };
 }
@@ -361,7 +435,8 @@ export function createWordProblemChallenge(difficulty) {
         `<div class="word-icon">🛒</div>
         <strong>${name}</strong> buys <span class="highlight">${quantity} ${item}${quantity > 1 ? 's' : ''}</span> for <span class="highlight-price">$${price}</span> each.
         <div class="question">What's the total cost?</div>`,
-      calculate: (price, quantity) => price * quantity
+      calculate: (price, quantity) => price * quantity,
+      working: (price, quantity, answer) => `${quantity} × $${price} = $${answer}`
     },
     {
       text: (name, item, total, removed) =>
@@ -369,21 +444,24 @@ export function createWordProblemChallenge(difficulty) {
         A box has <span class="highlight">${total} ${item}s</span>.
         You take out <span class="highlight">${removed}</span>.
         <div class="question">How many are left?</div>`,
-      calculate: (total, removed) => total - removed
+      calculate: (total, removed) => total - removed,
+      working: (total, removed, answer) => `${total} − ${removed} = ${answer}`
     },
     {
       text: (name, item, perDay, days) =>
         `<div class="word-icon">💰</div>
         <strong>${name}</strong> earns <span class="highlight-price">$${perDay}</span> per day.
         <div class="question">How much in ${days} days?</div>`,
-      calculate: (perDay, days) => perDay * days
+      calculate: (perDay, days) => perDay * days,
+      working: (perDay, days, answer) => `${days} × $${perDay} = $${answer}`
     },
     {
       text: (name, item, total, people) =>
         `<div class="word-icon">🎁</div>
         <span class="highlight">${total} ${item}s</span> shared equally by <span class="highlight">${people} friends</span>.
         <div class="question">How many does each get?</div>`,
-      calculate: (total, people) => total / people
+      calculate: (total, people) => total / people,
+      working: (total, people, answer) => `${total} ÷ ${people} = ${answer}`
     }
   ];
   
@@ -409,6 +487,7 @@ export function createWordProblemChallenge(difficulty) {
     answer = template.calculate(num1, num2);
   }
   problemText = template.text(name, item, num1, num2);
+  let answerArea = null; // Set once rendered
   
   return {
     id: 'word-problem',
@@ -460,12 +539,15 @@ export function createWordProblemChallenge(difficulty) {
           ${problemText}
         </div>
       `;
+      answerArea = answerContainer;
       createNumpad(answerContainer, (val) => {
-        window.dispatchEvent(new CustomEvent('challengeAnswer', { detail: { answer: val } }));
+        answerContainer.dispatchEvent(new CustomEvent('challengeAnswer', { bubbles: true, detail: { answer: val } }));
       });
     },
     
     check(answer) { return validateNumber(answer, this.correctAnswer); },
+    explain() { return explainSteps([template.working(num1, num2, answer)]); },
+    showSolution() { showNumpadValue(answerArea, this.correctAnswer); },
     cleanup() {}
   };
 }
@@ -475,7 +557,8 @@ registerChallenge('arithmetic', 'math', createArithmeticChallenge, {
   name: 'Arithmetic', 
   description: 'Quick calculations', 
   minDifficulty: 1, 
-  baseTime: 30 
+  baseTime: 30,
+  prepareTime: 2
 });
 
 registerChallenge('division', 'math', createDivisionChallenge, { 
@@ -489,12 +572,14 @@ registerChallenge('fraction-comparison', 'math', createFractionComparisonChallen
   name: 'Fractions', 
   description: 'Compare fractions', 
   minDifficulty: 1, 
-  baseTime: 35 
+  baseTime: 35,
+  powerUps: ['skip', 'freeze', 'fiftyFifty']
 });
 
 registerChallenge('word-problem', 'math', createWordProblemChallenge, { 
   name: 'Word Problems', 
   description: 'Story math', 
   minDifficulty: 1, 
-  baseTime: 45 
+  baseTime: 45,
+  prepareTime: 5
 });
\ No newline at end of file
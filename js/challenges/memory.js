@@ -8,6 +8,7 @@
 import { getDifficultyParams } from '../core/difficulty.js';
 import { randomInt, generateColors, shuffleArray } from '../utils/random.js';
 import { validateArray } from '../utils/validators.js';
+import { createPausableClock } from '../utils/timing.js';
 import { registerChallenge } from './registry.js';
 
 // Helper function for array comparison (needed for the fix in Pattern Matching)
@@ -53,6 +54,9 @@ export function createColorSequenceChallenge(difficulty) {
   ];
   
   const activeColors = neonPalette.slice(0, buttonCount);
+
+  // Playback waits stand still while the game is paused
+  const clock = createPausableClock();
   
   // Generate sequence
   const sequenceIndices = Array.from({ length: sequenceLength }, () => 
@@ -63,6 +67,8 @@ export function createColorSequenceChallenge(difficulty) {
   
   let playerInput = [];
   let isInputLocked = true;
+  let playSequence = null; // Set once rendered
+  let board = null; // Set once rendered
 
   const styles = `
     <style>
@@ -151,6 +157,8 @@ export function createColorSequenceChallenge(difficulty) {
     correctAnswer: correctAnswer,
     
     async render(contentContainer, answerContainer) {
+      board = contentContainer;
+      
       // 1. Setup HTML
       contentContainer.innerHTML = `
         ${styles}
@@ -189,11 +197,11 @@ export function createColorSequenceChallenge(difficulty) {
       const flashButton = async (index) => {
         const btn = padButtons[index];
         btn.classList.add('active');
-        await new Promise(r => setTimeout(r, playbackSpeed * 0.5));
+        await clock.wait(playbackSpeed * 0.5);
         btn.classList.remove('active');
       };
       
-      const playSequence = async () => {
+      playSequence = async () => {
         isInputLocked = true;
         playerInput = [];
         updateCounter(0);
@@ -202,11 +210,11 @@ export function createColorSequenceChallenge(difficulty) {
         msgText.textContent = "MEMORIZE";
         msgText.style.color = "#FF0055"; // Alert Red
         
-        await new Promise(r => setTimeout(r, 1000)); 
+        await clock.wait(1000);
         
         for (let i = 0; i < sequenceIndices.length; i++) {
           await flashButton(sequenceIndices[i]);
-          await new Promise(r => setTimeout(r, playbackSpeed * 0.5)); // Pause between flashes
+          await clock.wait(playbackSpeed * 0.5); // Pause between flashes
         }
         
         msgText.textContent = "YOUR TURN";
@@ -241,21 +249,73 @@ export function createColorSequenceChallenge(difficulty) {
       });
       
       submitBtn.addEventListener('click', () => {
-        window.dispatchEvent(new CustomEvent('challengeAnswer', { 
+        submitBtn.dispatchEvent(new CustomEvent('challengeAnswer', {
+          bubbles: true,
           detail: { answer: playerInput } 
         }));
       });
       
-      // Auto-start
-      setTimeout(playSequence, 500);
+    },
+    
+    /**
+     * Memorize phase: play the sequence (the engine starts the clock afterwards)
+     */
+    async memorize() {
+      if (!playSequence) return;
+      await clock.wait(500);
+      await playSequence();
     },
     
     check(answer) {
       return validateArray(answer, this.correctAnswer);
     },
     
+    /**
+     * The sequence as swatches, marking the first color the player got wrong
+     */
+    explain(answer) {
+      const input = Array.isArray(answer) ? answer : [];
+      const firstMistake = correctAnswer.findIndex((name, i) => input[i] !== name);
+      
+      return `
+        <div class="explain-steps">
+          <div class="explain-step">The sequence was:</div>
+          <div class="explain-swatches">
+            ${sequenceIndices.map((colorIndex, i) => `
+              <span class="explain-swatch ${i === firstMistake ? 'explain-mistake' : ''}"
+                style="background: ${activeColors[colorIndex].color};"
+                title="${activeColors[colorIndex].name}">${i + 1}</span>
+            `).join('')}
+          </div>
+          ${firstMistake >= 0 && input.length > firstMistake ? `
+            <div class="explain-step">
+              Color ${firstMistake + 1} was ${correctAnswer[firstMistake]}, you picked ${input[firstMistake]}
+            </div>` : ''}
+        </div>
+      `;
+    },
+    
+    /**
+     * Spell out the sequence above the pads
+     */
+    showSolution() {
+      if (!board) return;
+      const msgText = board.querySelector('#msg-text');
+      msgText.textContent = correctAnswer.join(' · ').toUpperCase();
+      msgText.style.color = '#00E5FF';
+    },
+    
+    pause() {
+      clock.pause();
+    },
+    
+    resume() {
+      clock.resume();
+    },
+    
     cleanup() {
       isInputLocked = true;
+      clock.cancel();
     }
   };
 }
@@ -283,6 +343,8 @@ export function createShapeGridChallenge(difficulty) {
   const correctPattern = Array.from(activePositions).sort((a, b) => a - b);
   let playerPattern = [];
   let isInputLocked = true;
+  let board = null; // Set once rendered
+  const clock = createPausableClock();
 
   // 1. Mobile-Optimized CSS
   const styles = `
@@ -404,9 +466,15 @@ export function createShapeGridChallenge(difficulty) {
       `;
       
       this.setupEventListeners(contentContainer, answerContainer);
-      
-      // Auto-start
-      await this.playSequence(contentContainer);
+      board = contentContainer;
+    },
+    
+    /**
+     * Memorize phase: flash the pattern (the engine starts the clock afterwards)
+     */
+    async memorize() {
+      if (!board) return;
+      await this.playSequence(board);
     },
     
     async playSequence(container) {
@@ -414,7 +482,7 @@ export function createShapeGridChallenge(difficulty) {
       const status = container.querySelector('#status-display');
       
       // 1. Wait
-      await new Promise(r => setTimeout(r, 800));
+      await clock.wait(800);
       
       // 2. Show
       status.textContent = "WATCH";
@@ -427,7 +495,7 @@ export function createShapeGridChallenge(difficulty) {
       
       // 3. Hold
       const holdTime = 1500 + (difficulty * 200);
-      await new Promise(r => setTimeout(r, holdTime));
+      await clock.wait(holdTime);
       
       // 4. Hide
       keys.forEach(k => {
@@ -472,7 +540,8 @@ export function createShapeGridChallenge(difficulty) {
       });
       
       submitBtn.addEventListener('click', () => {
-        window.dispatchEvent(new CustomEvent('challengeAnswer', { 
+        submitBtn.dispatchEvent(new CustomEvent('challengeAnswer', {
+          bubbles: true,
           detail: { answer: playerPattern.sort((a, b) => a - b) } 
         }));
       });
@@ -482,9 +551,51 @@ export function createShapeGridChallenge(difficulty) {
       return validateArray(answer, this.correctAnswer);
     },
     
+    /**
+     * The pattern as a mini map, marking squares the player missed or added
+     */
+    explain(answer) {
+      const input = Array.isArray(answer) ? answer : [];
+      const missed = correctPattern.filter(i => !input.includes(i)).length;
+      const added = input.filter(i => !correctPattern.includes(i)).length;
+      
+      return `
+        <div class="explain-steps">
+          <div class="explain-step">The pattern had ${correctPattern.length} squares</div>
+          <div class="explain-grid" style="grid-template-columns: repeat(${cols}, 32px);">
+            ${Array.from({ length: totalCells }, (_, i) => {
+              const lit = correctPattern.includes(i);
+              return `<span class="explain-swatch ${lit ? 'explain-lit' : ''} ${lit !== input.includes(i) ? 'explain-mistake' : ''}"></span>`;
+            }).join('')}
+          </div>
+          ${input.length > 0 ? `
+            <div class="explain-step">You missed ${missed} and added ${added}</div>` : ''}
+        </div>
+      `;
+    },
+    
+    /**
+     * Light the pattern on the board
+     */
+    showSolution() {
+      if (!board) return;
+      const keys = board.querySelectorAll('.memory-key');
+      correctPattern.forEach(index => keys[index].classList.add('lit'));
+      board.querySelector('#status-display').textContent = 'PATTERN';
+    },
+    
+    pause() {
+      clock.pause();
+    },
+    
+    resume() {
+      clock.resume();
+    },
+    
     cleanup() {
       playerPattern = [];
       isInputLocked = true;
+      clock.cancel();
     }
   };
 }
@@ -540,6 +651,7 @@ export function createPatternMatchingChallenge(difficulty) {
   
   const shuffledItems = shuffleArray(items);
   let selectedItems = [];
+  let board = null; // Set once rendered
 
   // 4. Styles (Floating Animation + Mobile Grid)
   const styles = `
@@ -635,6 +747,7 @@ export function createPatternMatchingChallenge(difficulty) {
     itemData: shuffledItems, // Store data for checking
     
     render(contentContainer, answerContainer) {
+      board = contentContainer;
       contentContainer.innerHTML = `
         ${styles}
         <div class="rune-match">
@@ -712,7 +825,8 @@ export function createPatternMatchingChallenge(difficulty) {
       });
       
       submitBtn.addEventListener('click', () => {
-        window.dispatchEvent(new CustomEvent('challengeAnswer', { 
+        submitBtn.dispatchEvent(new CustomEvent('challengeAnswer', {
+          bubbles: true,
           detail: { answer: selectedItems.sort((a, b) => a - b) } 
         }));
       });
@@ -731,6 +845,38 @@ export function createPatternMatchingChallenge(difficulty) {
       return pickedItems.every(item => item.key === firstKey);
     },
     
+    /**
+     * What makes a set, next to the runes the player picked
+     */
+    explain(answer) {
+      const picked = (Array.isArray(answer) ? answer : [])
+        .map(id => shuffledItems.find(item => item.id === id))
+        .filter(Boolean);
+      const swatch = item => `
+        <span class="explain-swatch" style="background: #2c3e50; color: ${item.color};">${item.symbol}</span>`;
+      
+      return `
+        <div class="explain-steps">
+          <div class="explain-step">A set is ${MATCH_SIZE} copies of one rune, in the same color</div>
+          <div class="explain-swatches">${items.slice(0, MATCH_SIZE).map(swatch).join('')}</div>
+          ${picked.length > 0 ? `
+            <div class="explain-step">You picked:</div>
+            <div class="explain-swatches">${picked.map(swatch).join('')}</div>` : ''}
+        </div>
+      `;
+    },
+    
+    /**
+     * Select one full set (the stones of the first rune)
+     */
+    showSolution() {
+      if (!board) return;
+      items.slice(0, MATCH_SIZE).forEach(item => {
+        const stone = board.querySelector(`.rune-stone[data-id="${item.id}"]`);
+        if (stone) stone.classList.add('selected');
+      });
+    },
+    
     cleanup() {
       selectedItems = [];
     }
@@ -12,8 +12,15 @@
  */
 
 import { getDifficultyParams } from '../core/difficulty.js';
-import { randomInt, randomChoice, shuffleArray, generateColors } from '../utils/random.js';
+import { randomInt, randomChoice, randomBool, shuffleArray, generateColors } from '../utils/random.js';
 import { validateArray, validateNumber, validateString } from '../utils/validators.js';
+import { createPausableClock } from '../utils/timing.js';
+
+// Put a value in a rendered answer input (review solutions)
+function showInputValue(container, value) {
+  const input = container && container.querySelector('#answer-input');
+  if (input) input.value = value;
+}
 
 /**
  * 13. Number Selection Challenge (formerly Drag-and-Drop)
@@ -129,6 +136,7 @@ export function createNumberSelectionChallenge(difficulty) {
 
   // Track what user has clicked
   let userSelection = [];
+  let board = null; // Set once rendered
 
   return {
     id: 'number-selection', // Renamed from drag-drop
@@ -138,6 +146,7 @@ export function createNumberSelectionChallenge(difficulty) {
     correctAnswer: correctIndices,
     
     render(contentContainer, answerContainer) {
+      board = contentContainer;
       contentContainer.innerHTML = `
         ${selectionStyles}
         <div class="selection-game">
@@ -198,7 +207,8 @@ export function createNumberSelectionChallenge(difficulty) {
         // Sort selection so comparison works (e.g. [1,2] matches [1,2])
         const finalAnswer = userSelection.sort((a, b) => a - b);
         
-        window.dispatchEvent(new CustomEvent('challengeAnswer', { 
+        submitBtn.dispatchEvent(new CustomEvent('challengeAnswer', {
+          bubbles: true,
           detail: { answer: finalAnswer } 
         }));
       });
@@ -209,6 +219,32 @@ export function createNumberSelectionChallenge(difficulty) {
       return JSON.stringify(answer) === JSON.stringify(this.correctAnswer);
     },
     
+    /**
+     * The numbers that match the rule, then the player's wrong picks and misses
+     */
+    explain(answer) {
+      const input = Array.isArray(answer) ? answer : [];
+      const wrong = input.filter(i => !correctIndices.includes(i)).map(i => items[i]);
+      const missed = correctIndices.filter(i => !input.includes(i)).map(i => items[i]);
+      
+      return `
+        <div class="explain-steps">
+          <div class="explain-step">${category.name}: ${correctIndices.map(i => items[i]).join(', ')}</div>
+          ${wrong.length > 0 ? `
+            <div class="explain-step">${wrong.join(', ')} ${wrong.length === 1 ? "doesn't" : "don't"} match</div>` : ''}
+          ${input.length > 0 && missed.length > 0 ? `
+            <div class="explain-step">You missed ${missed.join(', ')}</div>` : ''}
+        </div>
+      `;
+    },
+    
+    showSolution() {
+      if (!board) return;
+      board.querySelectorAll('.number-item').forEach(item => {
+        item.classList.toggle('selected', correctIndices.includes(parseInt(item.dataset.index)));
+      });
+    },
+    
     cleanup() {
       userSelection = [];
     }
@@ -244,6 +280,8 @@ export function createTileShufflePuzzle(difficulty) {
   }
   
   let currentTiles = [...tiles];
+  let board = null; // Set once rendered
+  let answerArea = null;
   
   return {
     id: 'tile-shuffle',
@@ -253,6 +291,8 @@ export function createTileShufflePuzzle(difficulty) {
     correctAnswer: solvedState,
     
     render(contentContainer, answerContainer) {
+      board = contentContainer;
+      answerArea = answerContainer;
       contentContainer.innerHTML = `
         <div class="tile-puzzle">
           <div class="tile-grid" id="tile-grid" style="
@@ -297,7 +337,8 @@ export function createTileShufflePuzzle(difficulty) {
       });
       
       submitBtn.addEventListener('click', () => {
-        window.dispatchEvent(new CustomEvent('challengeAnswer', { 
+        submitBtn.dispatchEvent(new CustomEvent('challengeAnswer', {
+          bubbles: true,
           detail: { answer: currentTiles } 
         }));
       });
@@ -307,12 +348,126 @@ export function createTileShufflePuzzle(difficulty) {
       return validateArray(answer, this.correctAnswer);
     },
     
+    /**
+     * 1: which tile to place first, 2+: the next move (highlighted)
+     */
+    hint(level) {
+      const misplaced = currentTiles.filter((tile, index) => tile !== 0 && tile !== index + 1);
+      if (misplaced.length === 0) return null;
+      
+      if (level === 1) {
+        return `Work in order: get tile ${Math.min(...misplaced)} into place first`;
+      }
+      
+      const move = findNextTileMove(currentTiles, gridSize);
+      if (move === null) return null;
+      
+      const tile = board && board.querySelector(`.tile[data-index="${move}"]`);
+      if (tile) tile.classList.add('tile-hint');
+      return `Next move: slide tile ${currentTiles[move]}`;
+    },
+    
+    /**
+     * The goal order, and the tiles that were still out of place
+     */
+    explain(answer) {
+      const tiles = Array.isArray(answer) ? answer : currentTiles;
+      const misplaced = tiles
+        .filter((tile, index) => tile !== 0 && tile !== index + 1)
+        .sort((a, b) => a - b);
+      
+      return `
+        <div class="explain-steps">
+          <div class="explain-step">
+            Tiles go 1 to ${totalTiles - 1}, left to right and top to bottom, with the gap last
+          </div>
+          ${misplaced.length > 0 ? `
+            <div class="explain-step">Still out of place: ${misplaced.join(', ')}</div>` : ''}
+        </div>
+      `;
+    },
+    
+    showSolution() {
+      if (!board) return;
+      currentTiles = [...solvedState];
+      this.render(board, answerArea);
+    },
+    
     cleanup() {
       currentTiles = [];
     }
   };
 }
 
+/**
+ * Index of the tile to slide next on a shortest solution (IDA* with
+ * Manhattan distance). Large boards that exceed the search budget fall
+ * back to the move that brings the tiles closest to their places.
+ * @returns {number|null} Tile index, or null if already solved
+ */
+function findNextTileMove(tiles, gridSize, maxNodes = 50000) {
+  const state = [...tiles];
+  const distance = (tile, index) => {
+    const goal = tile - 1;
+    return Math.abs(Math.floor(goal / gridSize) - Math.floor(index / gridSize)) +
+      Math.abs((goal % gridSize) - (index % gridSize));
+  };
+  
+  let h = state.reduce((sum, tile, index) => sum + (tile === 0 ? 0 : distance(tile, index)), 0);
+  if (h === 0) return null;
+  
+  let empty = state.indexOf(0);
+  let nodes = 0;
+  let firstMove = null;
+  
+  const search = (g, bound, previous) => {
+    if (g + h > bound) return g + h;
+    if (h === 0) return true;
+    if (++nodes > maxNodes) return Infinity;
+    
+    let min = Infinity;
+    for (const move of getValidMoves(empty, gridSize)) {
+      if (move === previous) continue;
+      
+      const tile = state[move];
+      const delta = distance(tile, empty) - distance(tile, move);
+      const from = empty;
+      state[from] = tile;
+      state[move] = 0;
+      empty = move;
+      h += delta;
+      
+      const result = search(g + 1, bound, from);
+      
+      state[move] = tile;
+      state[from] = 0;
+      empty = from;
+      h -= delta;
+      
+      if (result === true) {
+        if (g === 0) firstMove = move;
+        return true;
+      }
+      min = Math.min(min, result);
+    }
+    return min;
+  };
+  
+  let bound = h;
+  while (nodes <= maxNodes) {
+    const result = search(0, bound, -1);
+    if (result === true) return firstMove;
+    if (result === Infinity) break;
+    bound = result;
+  }
+  
+  // Greedy fallback
+  return getValidMoves(empty, gridSize).reduce((best, move) =>
+    distance(state[move], empty) - distance(state[move], move) <
+    distance(state[best], empty) - distance(state[best], best) ? move : best
+  );
+}
+
 function getValidMoves(emptyIndex, gridSize) {
   const row = Math.floor(emptyIndex / gridSize);
   const col = emptyIndex % gridSize;
@@ -335,6 +490,24 @@ export function createCupShuffleChallenge(difficulty) {
   
   // Track where the ball is (index 0 to cupCount-1)
   let ballLocation = randomInt(0, cupCount - 1);
+
+  // Pre-generate the swaps so the shuffle is fixed by the seed, not by render timing
+  const shuffleMoves = Array.from({ length: params.shuffleMoves || 5 }, () => {
+    const idx1 = randomInt(0, cupCount - 1);
+    let idx2 = randomInt(0, cupCount - 1);
+    while (idx2 === idx1) idx2 = randomInt(0, cupCount - 1);
+    return [idx1, idx2];
+  });
+
+  // Cup IDs left to right once shuffled (the ball stays under cup `ballLocation`)
+  const finalOrder = Array.from({ length: cupCount }, (_, i) => i);
+  shuffleMoves.forEach(([idx1, idx2]) => {
+    [finalOrder[idx1], finalOrder[idx2]] = [finalOrder[idx2], finalOrder[idx1]];
+  });
+
+  // Reveal and shuffle waits stand still while the game is paused
+  const clock = createPausableClock();
+  let rendered = null;
   
   // We need to inject some specific CSS for this game to look right
   // without needing you to edit a separate CSS file immediately.
@@ -410,6 +583,15 @@ export function createCupShuffleChallenge(difficulty) {
       `;
       
       answerContainer.innerHTML = `<button class="btn btn-secondary" disabled>Shuffling...</button>`;
+      rendered = { contentContainer, answerContainer };
+    },
+
+    /**
+     * Memorize phase: reveal the ball and shuffle (the engine starts the clock afterwards)
+     */
+    async memorize() {
+      if (!rendered) return;
+      const { contentContainer, answerContainer } = rendered;
 
       // 2. Reveal Sequence
       const cups = contentContainer.querySelectorAll('.cup');
@@ -418,14 +600,14 @@ export function createCupShuffleChallenge(difficulty) {
       const cupImg = ballCup.querySelector('.cup-img');
 
       // Lift cup to show ball
-      await new Promise(r => setTimeout(r, 500));
+      await clock.wait(500);
       cupImg.classList.add('cup-lift');
       
-      await new Promise(r => setTimeout(r, 1000));
+      await clock.wait(1000);
       
       // Drop cup to hide ball
       cupImg.classList.remove('cup-lift');
-      await new Promise(r => setTimeout(r, 500));
+      await clock.wait(500);
 
       // 3. Start Shuffle
       // Hide the ball visually by setting z-index lower or opacity
@@ -442,17 +624,11 @@ export function createCupShuffleChallenge(difficulty) {
 
     async performShuffle(contentContainer, params) {
       const container = contentContainer.querySelector('#cups-container');
-      const shuffles = params.shuffleMoves || 5;
       const speed = params.shuffleSpeed || 400;
 
-      for (let i = 0; i < shuffles; i++) {
+      for (const [idx1, idx2] of shuffleMoves) {
         // Get current list of cups (order changes in DOM)
         const currentCups = Array.from(container.children);
-        
-        // Pick two random distinct indices
-        const idx1 = randomInt(0, currentCups.length - 1);
-        let idx2 = randomInt(0, currentCups.length - 1);
-        while (idx2 === idx1) idx2 = randomInt(0, currentCups.length - 1);
 
         const cup1 = currentCups[idx1];
         const cup2 = currentCups[idx2];
@@ -477,7 +653,7 @@ export function createCupShuffleChallenge(difficulty) {
       cup2.style.transform = `translateX(${-distance}px)`;
 
       // 4. Wait for animation
-      await new Promise(resolve => setTimeout(resolve, speed));
+      await clock.wait(speed);
 
       // 5. Remove transition to prevent animation during DOM swap
       cup1.style.transition = 'none';
@@ -513,7 +689,8 @@ export function createCupShuffleChallenge(difficulty) {
           const hasBall = cup.querySelector('.ball-obj') !== null;
           
           setTimeout(() => {
-            window.dispatchEvent(new CustomEvent('challengeAnswer', { 
+            cup.dispatchEvent(new CustomEvent('challengeAnswer', {
+              bubbles: true,
               detail: { answer: hasBall } 
             }));
           }, 800); // Wait a bit for user to see result
@@ -526,7 +703,44 @@ export function createCupShuffleChallenge(difficulty) {
       return answer === true;
     },
 
-    cleanup() {}
+    /**
+     * Where the ball started and where the swaps left it
+     */
+    explain() {
+      return `
+        <div class="explain-steps">
+          <div class="explain-step">The ball started under cup ${ballLocation + 1} from the left</div>
+          <div class="explain-step">
+            After ${shuffleMoves.length} swaps it was under cup ${finalOrder.indexOf(ballLocation) + 1}
+          </div>
+        </div>
+      `;
+    },
+
+    /**
+     * Put the cups where the shuffle left them and lift the one with the ball
+     */
+    showSolution() {
+      if (!rendered) return;
+      const container = rendered.contentContainer.querySelector('#cups-container');
+      finalOrder.forEach(id => container.appendChild(container.querySelector(`#cup-${id}`)));
+      
+      const ballCup = container.querySelector(`#cup-${ballLocation}`);
+      ballCup.querySelector('.cup-img').classList.add('cup-lift');
+      ballCup.classList.add('solution-highlight');
+    },
+
+    pause() {
+      clock.pause();
+    },
+
+    resume() {
+      clock.resume();
+    },
+
+    cleanup() {
+      clock.cancel();
+    }
   };
 
   return challengeObject;
@@ -549,6 +763,7 @@ export function createWaterLevelsPuzzle(difficulty) {
 
   // 3. Current State: Shuffle the levels for the player to fix
   let currentLevels = shuffleArray([...levels]);
+  let board = null; // Set once rendered
   
   // Ensure it doesn't accidentally start solved
   while (JSON.stringify(currentLevels) === JSON.stringify(correctOrder)) {
@@ -618,6 +833,7 @@ export function createWaterLevelsPuzzle(difficulty) {
     correctAnswer: correctOrder,
     
     render(contentContainer, answerContainer) {
+      board = contentContainer;
       contentContainer.innerHTML = `
         ${waterStyles}
         <div class="water-puzzle">
@@ -686,7 +902,8 @@ export function createWaterLevelsPuzzle(difficulty) {
       });
       
       submitBtn.addEventListener('click', () => {
-        window.dispatchEvent(new CustomEvent('challengeAnswer', { 
+        submitBtn.dispatchEvent(new CustomEvent('challengeAnswer', {
+          bubbles: true,
           detail: { answer: currentLevels } 
         }));
       });
@@ -697,6 +914,40 @@ export function createWaterLevelsPuzzle(difficulty) {
       return JSON.stringify(answer) === JSON.stringify(this.correctAnswer);
     },
     
+    /**
+     * The levels in order, marking the first container out of place
+     */
+    explain(answer) {
+      const input = Array.isArray(answer) ? answer : [];
+      const firstMistake = input.length > 0 ? correctOrder.findIndex((level, i) => input[i] !== level) : -1;
+      
+      return `
+        <div class="explain-steps">
+          <div class="explain-step">Lowest to highest:</div>
+          <div class="explain-swatches">
+            ${correctOrder.map((level, i) => `
+              <span class="explain-swatch ${i === firstMistake ? 'explain-mistake' : ''}"
+                style="background: #3498db; color: #fff;">${level}</span>
+            `).join('')}
+          </div>
+          ${firstMistake >= 0 ? `
+            <div class="explain-step">
+              Container ${firstMistake + 1} should hold ${correctOrder[firstMistake]}%, yours held ${input[firstMistake]}%
+            </div>` : ''}
+        </div>
+      `;
+    },
+    
+    /**
+     * Sort the containers
+     */
+    showSolution() {
+      if (!board) return;
+      currentLevels = [...correctOrder];
+      board.querySelector('#containers').innerHTML = this.renderContainers(currentLevels);
+      board.querySelector('#status-text').textContent = 'Sorted low to high';
+    },
+    
     cleanup() {}
   };
 }
@@ -745,6 +996,7 @@ export function createShapeRotationChallenge(difficulty) {
   }
   
   let currentRotation = startRotation;
+  let board = null; // Set once rendered
 
   // CSS for the matrix grid
   const shapeStyles = `
@@ -756,6 +1008,9 @@ export function createShapeRotationChallenge(difficulty) {
         gap: 40px;
         padding: 20px;
       }
+      .rotation-challenge:focus {
+        outline: none;
+      }
       .shape-container {
         text-align: center;
       }
@@ -808,9 +1063,10 @@ export function createShapeRotationChallenge(difficulty) {
     correctAnswer: targetRotation,
     
     render(contentContainer, answerContainer) {
+      board = contentContainer;
       contentContainer.innerHTML = `
         ${shapeStyles}
-        <div class="rotation-challenge">
+        <div class="rotation-challenge" tabindex="0">
           
           <div class="shape-container">
             <div class="label-text">Match This</div>
@@ -872,18 +1128,22 @@ export function createShapeRotationChallenge(difficulty) {
       });
       
       submitBtn.addEventListener('click', () => {
-        window.dispatchEvent(new CustomEvent('challengeAnswer', { 
+        submitBtn.dispatchEvent(new CustomEvent('challengeAnswer', {
+          bubbles: true,
           detail: { answer: currentRotation } 
         }));
       });
       
-      // Keyboard support for fun
+      // Keyboard support for fun: only while focus is in this challenge, so
+      // each duel pane rotates its own shape (the shape takes focus when shown)
       const keyHandler = (e) => {
         if (e.key === 'ArrowLeft') { currentRotation -= 90; updateVisuals(); }
         if (e.key === 'ArrowRight') { currentRotation += 90; updateVisuals(); }
       };
-      document.addEventListener('keydown', keyHandler);
-      this._cleanupKey = keyHandler; // Store for cleanup
+      const board = contentContainer.querySelector('.rotation-challenge');
+      board.addEventListener('keydown', keyHandler);
+      answerContainer.querySelector('.controls-area').addEventListener('keydown', keyHandler);
+      board.focus({ preventScroll: true });
     },
     
     check(answer) {
@@ -892,11 +1152,35 @@ export function createShapeRotationChallenge(difficulty) {
       return normAnswer === normTarget;
     },
     
-    cleanup() {
-      if (this._cleanupKey) {
-        document.removeEventListener('keydown', this._cleanupKey);
-      }
-    }
+    /**
+     * The turns needed from the start, and from where the player stopped
+     */
+    explain(answer) {
+      const turns = (from) => {
+        const angle = normalizeAngle(targetRotation - from);
+        return angle === 0 ? 'no turns' : angle === 90 ? 'one turn right' : angle === 180 ? 'two turns' : 'one turn left';
+      };
+      
+      return `
+        <div class="explain-steps">
+          <div class="explain-step">Line up the red square with the blueprint's</div>
+          <div class="explain-step">From the start that takes ${turns(startRotation)}</div>
+          ${typeof answer === 'number' ? `
+            <div class="explain-step">Where you stopped it still needed ${turns(answer)}</div>` : ''}
+        </div>
+      `;
+    },
+    
+    /**
+     * Turn the player's shape to match the blueprint
+     */
+    showSolution() {
+      if (!board) return;
+      currentRotation = targetRotation;
+      board.querySelector('#player-shape').style.transform = `rotate(${currentRotation}deg)`;
+    },
+    
+    cleanup() {}
   };
 }
 
@@ -930,6 +1214,7 @@ export function createWordUnscrambleChallenge(difficulty) {
   const availableWords = wordsByLength[targetLength] || wordsByLength[5];
   const correctWord = randomChoice(availableWords);
   const scrambledWord = shuffleArray(correctWord.split('')).join('');
+  let answerArea = null; // Set once rendered
   
   return {
     id: 'word-unscramble',
@@ -939,6 +1224,7 @@ export function createWordUnscrambleChallenge(difficulty) {
     correctAnswer: correctWord.toLowerCase(),
     
     render(contentContainer, answerContainer) {
+      answerArea = answerContainer;
       contentContainer.innerHTML = `
         <div class="unscramble-challenge">
           <div class="scrambled-word">${scrambledWord.toUpperCase()}</div>
@@ -969,7 +1255,8 @@ export function createWordUnscrambleChallenge(difficulty) {
       
       const submit = () => {
         const answer = input.value.toLowerCase().trim();
-        window.dispatchEvent(new CustomEvent('challengeAnswer', { 
+        input.dispatchEvent(new CustomEvent('challengeAnswer', {
+          bubbles: true,
           detail: { answer } 
         }));
       };
@@ -984,6 +1271,28 @@ export function createWordUnscrambleChallenge(difficulty) {
       return validateString(answer, this.correctAnswer);
     },
     
+    /**
+     * The word, and whether the player's guess used the same letters
+     */
+    explain(answer) {
+      const letters = word => word.split('').sort().join('');
+      const guess = typeof answer === 'string' ? answer : '';
+      
+      return `
+        <div class="explain-steps">
+          <div class="explain-step">${scrambledWord.toUpperCase()} unscrambles to ${correctWord.toUpperCase()}</div>
+          ${guess ? `
+            <div class="explain-step">
+              ${letters(guess) === letters(correctWord)
+                ? 'Your word uses the same letters, but in another order'
+                : "Your word doesn't use the same letters"}
+            </div>` : ''}
+        </div>
+      `;
+    },
+    
+    showSolution() { showInputValue(answerArea, correctWord); },
+    
     cleanup() {}
   };
 }
@@ -999,7 +1308,7 @@ export function createCubeCountingChallenge(difficulty) {
   const maxHeight = difficulty < 3 ? 3 : (difficulty < 6 ? 4 : 5);
   
   // Game Mode Logic
-  const isColorMode = difficulty > 2 && Math.random() > 0.5;
+  const isColorMode = difficulty > 2 && randomBool();
   const targetColor = 'red'; 
   
   // Generate Cubes
@@ -1011,7 +1320,7 @@ export function createCubeCountingChallenge(difficulty) {
     for (let y = 0; y < gridSize; y++) {
       const height = randomInt(1, maxHeight);
       for (let z = 0; z < height; z++) {
-        const isRed = Math.random() > 0.8;
+        const isRed = randomBool(0.2);
         const color = isColorMode && isRed ? 'red' : 'blue';
         
         cubes.push({ x, y, z, color });
@@ -1031,6 +1340,7 @@ export function createCubeCountingChallenge(difficulty) {
   const missionTitle = isColorMode 
     ? `Count <span style="color:#ff6b6b; font-weight:800;">RED</span> Cubes` 
     : "Count <span style='font-weight:800;'>ALL</span> Cubes";
+  let answerArea = null; // Set once rendered
 
   const styles = `
     <style>
@@ -1224,6 +1534,7 @@ export function createCubeCountingChallenge(difficulty) {
     touchState: null,
     
     render(contentContainer, answerContainer) {
+      answerArea = answerContainer;
       const offset = (gridSize * 30) / 2;
       
       contentContainer.innerHTML = `
@@ -1497,7 +1808,8 @@ export function createCubeCountingChallenge(difficulty) {
       
       const submit = () => {
         if (!input.value) return;
-        window.dispatchEvent(new CustomEvent('challengeAnswer', { 
+        input.dispatchEvent(new CustomEvent('challengeAnswer', {
+          bubbles: true,
           detail: { answer: parseInt(input.value) } 
         }));
       };
@@ -1512,6 +1824,32 @@ export function createCubeCountingChallenge(difficulty) {
       return validateNumber(answer, this.correctAnswer);
     },
     
+    /**
+     * The count stack by stack, one row of the grid at a time
+     */
+    explain(answer) {
+      const counted = cube => !isColorMode || cube.color === targetColor;
+      const rows = Array.from({ length: gridSize }, (_, x) =>
+        Array.from({ length: gridSize }, (_, y) =>
+          cubes.filter(c => c.x === x && c.y === y && counted(c)).length
+        )
+      );
+      
+      return `
+        <div class="explain-steps">
+          <div class="explain-step">${isColorMode ? 'Red cubes' : 'Cubes'} per stack, row by row:</div>
+          ${rows.map(row => `
+            <div class="explain-step">${row.join(' + ')} = ${row.reduce((sum, n) => sum + n, 0)}</div>
+          `).join('')}
+          <div class="explain-step">
+            Total: ${correctAnswer}${Number.isFinite(answer) ? `, you counted ${answer}` : ''}
+          </div>
+        </div>
+      `;
+    },
+    
+    showSolution() { showInputValue(answerArea, correctAnswer); },
+    
     cleanup() {
       this.touchState = null;
     }
@@ -1533,7 +1871,7 @@ export function createSameGameChallenge(difficulty) {
   
   // Generate Grid
   const grid = Array.from({ length: gridSize }, () =>
-    Array.from({ length: gridSize }, () => activeColors[Math.floor(Math.random() * activeColors.length)])
+    Array.from({ length: gridSize }, () => randomChoice(activeColors))
   );
   
   // Calculate Solution
@@ -1542,6 +1880,7 @@ export function createSameGameChallenge(difficulty) {
   
   // Track user selection
   let currentSelectedSize = 0;
+  let board = null; // Set once rendered
 
   // CSS Styles
   const styles = `
@@ -1618,6 +1957,7 @@ export function createSameGameChallenge(difficulty) {
     correctAnswer: targetSize,
     
     render(contentContainer, answerContainer) {
+      board = contentContainer;
       contentContainer.innerHTML = `
         ${styles}
         <div class="jewel-game">
@@ -1694,7 +2034,8 @@ export function createSameGameChallenge(difficulty) {
       submitBtn.addEventListener('click', () => {
         if (currentSelectedSize === 0) return;
         
-        window.dispatchEvent(new CustomEvent('challengeAnswer', { 
+        submitBtn.dispatchEvent(new CustomEvent('challengeAnswer', {
+          bubbles: true,
           detail: { answer: currentSelectedSize } 
         }));
       });
@@ -1705,6 +2046,35 @@ export function createSameGameChallenge(difficulty) {
       return validateNumber(answer, this.correctAnswer);
     },
     
+    /**
+     * Select the largest cluster on the board
+     */
+    showSolution() {
+      if (!board) return;
+      const gridContainer = board.querySelector('#grid-container');
+      gridContainer.querySelectorAll('.jewel').forEach(j => j.classList.remove('selected'));
+      gridContainer.classList.add('grid-has-selection');
+      targetCluster.forEach(pos => {
+        const el = gridContainer.querySelector(`.jewel[data-row="${pos.row}"][data-col="${pos.col}"]`);
+        if (el) el.classList.add('selected');
+      });
+    },
+    
+    /**
+     * Highlight the largest cluster on the board
+     */
+    explain(answer) {
+      const color = grid[targetCluster[0].row][targetCluster[0].col];
+      this.showSolution();
+      
+      return `
+        <div class="explain-steps">
+          <div class="explain-step">The largest cluster is ${targetSize} ${color} jewels (highlighted)</div>
+          ${answer !== undefined ? `<div class="explain-step">Your group had ${answer}</div>` : ''}
+        </div>
+      `;
+    },
+    
     cleanup() {}
   };
 }
@@ -3,10 +3,208 @@
  * Manages all challenge types and provides random selection
  */
 
+import { random } from '../utils/prng.js';
+import { DEFAULT_POWER_UPS } from '../core/powerups.js';
+import { createCompositeChallenge } from './composite.js';
+
+/**
+ * Seconds of reading time before the clock starts (unless metadata overrides it)
+ */
+export const DEFAULT_PREPARE_TIME = 3;
+
+/**
+ * Default selection strategy for random runs
+ * Keeps categories balanced and avoids back-to-back repeats
+ */
+export const DEFAULT_SELECTION = [
+  'categoryRotation',
+  { name: 'noRepeat', window: 3 },
+  'weighted'
+];
+
+/**
+ * Whether a challenge can be played at a level
+ * @param {Object} challenge - Registry entry
+ * @param {number|Function} difficulty - Run level, or (entry) => the entry's
+ *   own level (e.g. the player's rated level for it)
+ */
+function isInRange(challenge, difficulty) {
+  const level = typeof difficulty === 'function' ? difficulty(challenge) : difficulty;
+  const { minDifficulty, maxDifficulty } = challenge.metadata;
+  return level >= minDifficulty && level <= maxDifficulty;
+}
+
+/**
+ * Built-in selection policies
+ * A policy is created per selector and may implement any of:
+ * - filter(candidates, context): narrow the candidate list
+ * - weight(candidate, context): scale a candidate's pick weight
+ * - record(picked, context): observe the pick (update own state)
+ * Policy state lives in `state` so selectors can be checkpointed.
+ */
+const BUILT_IN_POLICIES = {
+  // Pick weight from registry metadata (metadata.weight). Challenges that
+  // don't set one weigh 1, so on its own this policy picks uniformly
+  weighted: () => ({
+    weight(candidate) {
+      return candidate.metadata.weight;
+    }
+  }),
+
+  // Never repeat one of the last N challenges (unless nothing else is eligible)
+  noRepeat: (options = {}) => ({
+    filter(candidates, context) {
+      const recent = context.history.slice(-(options.window || 3));
+      return candidates.filter(c => !recent.includes(c.id));
+    }
+  }),
+
+  // Prefer the categories picked least often so far
+  categoryRotation: () => ({
+    filter(candidates, context) {
+      const counts = {};
+      for (const id of context.history) {
+        const category = context.getCategory(id);
+        counts[category] = (counts[category] || 0) + 1;
+      }
+
+      const minCount = Math.min(...candidates.map(c => counts[c.category] || 0));
+      return candidates.filter(c => (counts[c.category] || 0) === minCount);
+    }
+  }),
+
+  // Every eligible challenge appears once before any appears again
+  shuffleBag: () => ({
+    state: { drawn: [] },
+
+    filter(candidates) {
+      const remaining = candidates.filter(c => !this.state.drawn.includes(c.id));
+      if (remaining.length === 0) {
+        // Cycle complete - refill the bag
+        this.state.drawn = [];
+        return candidates;
+      }
+      return remaining;
+    },
+
+    record(picked) {
+      this.state.drawn.push(picked.id);
+    }
+  })
+};
+
+/**
+ * Stateful challenge picker built from a list of policies
+ * Each engine run owns one, so history never leaks between runs
+ */
+class ChallengeSelector {
+  constructor(registry, policies) {
+    this.registry = registry;
+    this.policies = policies;
+    this.history = [];
+  }
+
+  /**
+   * Pick the next challenge factory object
+   * @param {number|Function} difficulty - Current difficulty level, or a level per challenge
+   * @param {string[]} categories - Optional list of categories to limit selection to
+   * @returns {Object} Challenge factory object {id, category, factory, metadata}
+   */
+  next(difficulty, categories = null) {
+    let candidates = this.registry.getAvailableChallenges(difficulty, categories);
+
+    if (candidates.length === 0) {
+      throw new Error('No challenges available at this difficulty level');
+    }
+
+    const context = {
+      difficulty,
+      history: this.history,
+      getCategory: (id) => {
+        const challenge = this.registry.challenges.get(id);
+        return challenge ? challenge.category : null;
+      }
+    };
+
+    // Narrow candidates; a policy that would filter everything out is skipped
+    for (const { policy } of this.policies) {
+      if (!policy.filter) continue;
+      const filtered = policy.filter(candidates, context);
+      if (filtered.length > 0) {
+        candidates = filtered;
+      }
+    }
+
+    // Weighted random pick (weights from all policies multiply)
+    const weights = candidates.map(candidate => this.policies.reduce((weight, { policy }) => (
+      policy.weight ? weight * Math.max(0, policy.weight(candidate, context)) : weight
+    ), 1));
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+
+    let selected = candidates[candidates.length - 1];
+    if (totalWeight > 0) {
+      let roll = random() * totalWeight;
+      for (let i = 0; i < candidates.length; i++) {
+        roll -= weights[i];
+        if (roll < 0) {
+          selected = candidates[i];
+          break;
+        }
+      }
+    } else {
+      selected = candidates[Math.floor(random() * candidates.length)];
+    }
+
+    this.record(selected);
+    return selected;
+  }
+
+  /**
+   * Record a pick made outside the selector (e.g. a forced challenge)
+   */
+  record(challenge) {
+    const context = { history: this.history };
+    for (const { policy } of this.policies) {
+      if (policy.record) {
+        policy.record(challenge, context);
+      }
+    }
+    this.history.push(challenge.id);
+  }
+
+  /**
+   * Serializable selector state (history + per-policy state)
+   */
+  getState() {
+    return {
+      history: [...this.history],
+      policies: this.policies.map(({ name, policy }) => ({
+        name,
+        state: policy.state ? JSON.parse(JSON.stringify(policy.state)) : null
+      }))
+    };
+  }
+
+  /**
+   * Restore state produced by getState()
+   */
+  setState(saved) {
+    if (!saved) return;
+    this.history = [...(saved.history || [])];
+    (saved.policies || []).forEach((entry, index) => {
+      const current = this.policies[index];
+      if (current && current.name === entry.name && entry.state && current.policy.state) {
+        current.policy.state = entry.state;
+      }
+    });
+  }
+}
+
 class ChallengeRegistry {
   constructor() {
     this.challenges = new Map();
     this.categories = new Set();
+    this.policies = new Map(Object.entries(BUILT_IN_POLICIES));
   }
 
   /**
@@ -14,7 +212,7 @@ class ChallengeRegistry {
    * @param {string} id - Unique identifier for the challenge
    * @param {string} category - 'math', 'logic', 'memory', 'puzzle'
    * @param {Function} factory - Function that creates challenge instance
-   * @param {Object} metadata - Optional metadata (name, description, minDifficulty, baseTime)
+   * @param {Object} metadata - Optional metadata (name, description, minDifficulty, baseTime, weight, prepareTime, powerUps)
    */
   register(id, category, factory, metadata = {}) {
     if (this.challenges.has(id)) {
@@ -31,24 +229,82 @@ class ChallengeRegistry {
         minDifficulty: metadata.minDifficulty || 1,
         maxDifficulty: metadata.maxDifficulty || Infinity,
         // FIX: Ensure 'baseTime' is always defined, defaulting to 20 seconds.
-        baseTime: metadata.baseTime || 20 
+        baseTime: metadata.baseTime || 20,
+        // Relative pick weight for the 'weighted' selection policy
+        weight: metadata.weight ?? 1,
+        // Reading time before the clock starts (0 = none; memorize phases replace it)
+        prepareTime: metadata.prepareTime ?? DEFAULT_PREPARE_TIME,
+        // Power-ups the challenge supports (see core/powerups.js)
+        powerUps: metadata.powerUps || DEFAULT_POWER_UPS,
+        // Child challenge IDs of a composite challenge (null for plain ones)
+        stages: metadata.stages || null
       }
     });
 
     this.categories.add(category);
   }
 
+  /**
+   * Register a composite challenge: registered challenges played in stages
+   * inside one combined timer (see challenges/composite.js). Composites are
+   * left out of random selection; the engine plays them as boss rounds
+   * @param {string} id - Unique identifier for the composite
+   * @param {string[]} stageIds - Challenge IDs of the stages (registered first)
+   * @param {Object} metadata - As register(); baseTime defaults to the stages'
+   *   total and minDifficulty to the highest of theirs
+   */
+  registerComposite(id, stageIds, metadata = {}) {
+    const stages = stageIds.map(stageId => {
+      const stage = this.challenges.get(stageId);
+      if (!stage) {
+        throw new Error(`Challenge "${stageId}" not found (composite "${id}")`);
+      }
+      return stage;
+    });
+    const title = metadata.name || id;
+
+    this.register(id, stages[0].category, difficulty => createCompositeChallenge(id, title, stages, difficulty), {
+      minDifficulty: Math.max(...stages.map(stage => stage.metadata.minDifficulty)),
+      baseTime: stages.reduce((total, stage) => total + stage.metadata.baseTime, 0),
+      // Power-ups every stage supports (never 50/50: there is no single set of options)
+      powerUps: DEFAULT_POWER_UPS.filter(type => stages.every(stage => stage.metadata.powerUps.includes(type))),
+      ...metadata,
+      stages: stageIds
+    });
+  }
+
+  /**
+   * Get composite challenges available at a difficulty (boss rounds)
+   * @param {number|Function} difficulty - Current difficulty level, or a level per challenge
+   */
+  getComposites(difficulty) {
+    return Array.from(this.challenges.values())
+      .filter(challenge => challenge.metadata.stages && isInRange(challenge, difficulty));
+  }
+
+  /**
+   * Get all challenge factory objects available at a difficulty
+   * @param {number|Function} difficulty - Current difficulty level, or a level per challenge
+   * @param {string[]} categories - Optional list of categories to limit selection to
+   */
+  getAvailableChallenges(difficulty, categories = null) {
+    if (categories && categories.length > 0) {
+      return categories.flatMap(category => this.getChallengesByCategory(category, difficulty));
+    }
+
+    return Array.from(this.challenges.values())
+      .filter(challenge => !challenge.metadata.stages && isInRange(challenge, difficulty));
+  }
+
   /**
    * Get a random challenge factory object (not the instance!)
    * @param {number} difficulty - Current difficulty level
+   * @param {string[]} categories - Optional list of categories to limit selection to
    * @returns {Object} Challenge factory object {id, category, factory, metadata}
    */
-  getRandomChallenge(difficulty) {
+  getRandomChallenge(difficulty, categories = null) {
     // Filter challenges available at current difficulty
-    const available = Array.from(this.challenges.values()).filter(challenge => {
-      const { minDifficulty, maxDifficulty } = challenge.metadata;
-      return difficulty >= minDifficulty && difficulty <= maxDifficulty;
-    });
+    const available = this.getAvailableChallenges(difficulty, categories);
 
     if (available.length === 0) {
       // NOTE: This throws an error, which the engine catches and ends the game.
@@ -56,7 +312,7 @@ class ChallengeRegistry {
     }
 
     // Pick random challenge factory object
-    const randomIndex = Math.floor(Math.random() * available.length);
+    const randomIndex = Math.floor(random() * available.length);
     const selected = available[randomIndex];
 
     // FIX: Return the factory object, not the instantiated challenge.
@@ -64,6 +320,35 @@ class ChallengeRegistry {
     return selected;
   }
 
+  /**
+   * Register a custom selection policy
+   * @param {string} name - Policy name used in selection specs
+   * @param {Function} factory - (options) => policy object (see BUILT_IN_POLICIES)
+   */
+  registerSelectionPolicy(name, factory) {
+    this.policies.set(name, factory);
+  }
+
+  /**
+   * Create a selector from a selection spec
+   * @param {Array} spec - Policy names or { name, ...options } objects,
+   *   e.g. ['shuffleBag', { name: 'noRepeat', window: 5 }]
+   *   (null or undefined: DEFAULT_SELECTION)
+   * @returns {ChallengeSelector}
+   */
+  createSelector(spec) {
+    const policies = (spec ?? DEFAULT_SELECTION).map(entry => {
+      const { name, ...options } = typeof entry === 'string' ? { name: entry } : entry;
+      const factory = this.policies.get(name);
+      if (!factory) {
+        throw new Error(`Selection policy "${name}" not found`);
+      }
+      return { name, policy: factory(options) };
+    });
+
+    return new ChallengeSelector(this, policies);
+  }
+
   /**
    * Get challenge by ID
    * @returns {Object} Challenge instance
@@ -77,16 +362,22 @@ class ChallengeRegistry {
     return challenge.factory(difficulty);
   }
 
+  /**
+   * Get challenge info (id, category, metadata) without instantiating it
+   */
+  getInfo(id) {
+    const challenge = this.challenges.get(id);
+    if (!challenge) return null;
+    return { id: challenge.id, category: challenge.category, metadata: { ...challenge.metadata } };
+  }
+
   /**
    * Get all challenges in a category
    */
   getChallengesByCategory(category, difficulty) {
     return Array.from(this.challenges.values())
-      .filter(c => c.category === category)
-      .filter(c => {
-        const { minDifficulty, maxDifficulty } = c.metadata;
-        return difficulty >= minDifficulty && difficulty <= maxDifficulty;
-      });
+      .filter(c => c.category === category && !c.metadata.stages)
+      .filter(c => isInRange(c, difficulty));
   }
 
   /**
@@ -110,6 +401,15 @@ class ChallengeRegistry {
     return Array.from(this.challenges.keys());
   }
 
+  /**
+   * Get IDs of plain challenges (no composites), e.g. for pickers
+   */
+  getPlainIds() {
+    return Array.from(this.challenges.values())
+      .filter(challenge => !challenge.metadata.stages)
+      .map(challenge => challenge.id);
+  }
+
   /**
    * Check if challenge exists
    */
@@ -136,13 +436,15 @@ class ChallengeRegistry {
    * Get statistics about registered challenges
    */
   getStats() {
+    const plain = Array.from(this.challenges.values()).filter(c => !c.metadata.stages);
     const stats = {
-      total: this.challenges.size,
+      total: plain.length,
+      composites: this.challenges.size - plain.length,
       byCategory: {}
     };
 
     for (const category of this.categories) {
-      stats.byCategory[category] = Array.from(this.challenges.values())
+      stats.byCategory[category] = plain
         .filter(c => c.category === category)
         .length;
     }
@@ -161,6 +463,13 @@ export function registerChallenge(id, category, factory, metadata) {
   registry.register(id, category, factory, metadata);
 }
 
+/**
+ * Helper function to register a composite challenge
+ */
+export function registerComposite(id, stageIds, metadata) {
+  registry.registerComposite(id, stageIds, metadata);
+}
+
 /**
  * Initialize all challenges
  * This will be called when challenge modules are loaded
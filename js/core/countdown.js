@@ -0,0 +1,116 @@
+/**
+ * Monotonic timing
+ * Stopwatch and countdown computed from performance.now() timestamps, so
+ * throttled or late ticks never drift and pausing never loses precision
+ */
+
+/**
+ * Current monotonic time in milliseconds
+ */
+export function now() {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+/**
+ * Schedule a callback for the next animation frame (falls back to ~60Hz timeouts)
+ * @returns {Function} Cancels the callback
+ */
+export function requestFrame(callback) {
+  if (typeof requestAnimationFrame === 'function') {
+    const id = requestAnimationFrame(callback);
+    return () => cancelAnimationFrame(id);
+  }
+
+  const id = setTimeout(callback, 16);
+  return () => clearTimeout(id);
+}
+
+/**
+ * Pausable stopwatch
+ */
+export class Stopwatch {
+  constructor() {
+    this.elapsedBeforeRun = 0; // ms accumulated before the current run
+    this.runStartedAt = null;  // Timestamp of the current run, null while stopped
+    this.hasStarted = false;
+  }
+
+  /**
+   * Start (or continue after pause)
+   */
+  start() {
+    if (this.runStartedAt !== null) return;
+    this.runStartedAt = now();
+    this.hasStarted = true;
+  }
+
+  /**
+   * Stop counting, keeping the elapsed time
+   */
+  pause() {
+    if (this.runStartedAt === null) return;
+    this.elapsedBeforeRun += now() - this.runStartedAt;
+    this.runStartedAt = null;
+  }
+
+  /**
+   * Whether the stopwatch is counting
+   */
+  isRunning() {
+    return this.runStartedAt !== null;
+  }
+
+  /**
+   * Jump to an elapsed time, keeping the running/stopped state
+   * @param {number} ms
+   */
+  setElapsedMs(ms) {
+    this.elapsedBeforeRun = ms;
+    if (this.runStartedAt !== null) {
+      this.runStartedAt = now();
+    }
+  }
+
+  /**
+   * Elapsed running time in milliseconds
+   */
+  getElapsedMs() {
+    const current = this.runStartedAt !== null ? now() - this.runStartedAt : 0;
+    return this.elapsedBeforeRun + current;
+  }
+}
+
+/**
+ * Countdown from a fixed duration
+ */
+export class Countdown extends Stopwatch {
+  /**
+   * @param {number} duration - Seconds
+   */
+  constructor(duration) {
+    super();
+    this.duration = duration;
+  }
+
+  /**
+   * Add time to the countdown
+   * @param {number} seconds
+   */
+  extend(seconds) {
+    this.duration += seconds;
+  }
+
+  /**
+   * Seconds left (never below zero)
+   */
+  getRemaining() {
+    return Math.max(0, this.duration - this.getElapsedMs() / 1000);
+  }
+
+  /**
+   * Whether the countdown has run out
+   */
+  isExpired() {
+    return this.getRemaining() <= 0;
+  }
+}
@@ -169,14 +169,15 @@ export function getTimerReduction(difficulty) {
  * Calculate challenge timer based on its static base time and difficulty reduction.
  * @param {number} challengeBaseTime - The fixed, non-scaling base time for this specific challenge (e.g., 60 seconds).
  * @param {number} difficulty - The current difficulty level.
+ * @param {number} minTime - Shortest allowed time limit in seconds (see rules.minTime)
  * @returns {number} The actual time limit for the challenge in seconds.
  */
-export function getBaseTimer(challengeBaseTime, difficulty) {
+export function getBaseTimer(challengeBaseTime, difficulty, minTime = 5) {
   const reduction = getTimerReduction(difficulty);
   const calculatedTime = challengeBaseTime - reduction;
 
-  // Set a hard minimum time limit (e.g., 5 seconds) to prevent impossible challenges
-  return Math.max(calculatedTime, 5); 
+  // Minimum time limit to prevent impossible challenges
+  return Math.max(calculatedTime, minTime); 
 }
 
 // NOTE: The previous logic in getBaseTimer which relied on getDifficultyParams
@@ -0,0 +1,251 @@
+/**
+ * Split-screen duel
+ * Two engines race through the same seeded challenges on one device.
+ * The first correct answer wins the round; a wrong answer or timeout costs
+ * a life and locks that player out until the next round.
+ */
+
+import { createSeed } from '../utils/prng.js';
+
+/**
+ * Round wins needed to take the duel, unless the config says otherwise
+ */
+export const DUEL_WINS = 5;
+
+/**
+ * Milliseconds between the end of a round and the next challenge
+ */
+export const ROUND_PAUSE = 1500;
+
+export class Duel {
+  /**
+   * @param {GameEngine[]} engines - One engine per player
+   */
+  constructor(engines) {
+    this.engines = engines;
+    this.config = {};
+    this.names = [];
+    this.winsNeeded = DUEL_WINS;
+    this.wins = [];
+    this.round = 0;
+    this.results = [];      // How each player's challenge ended this round
+    this.roundOver = false;
+    this.isPlaying = false;
+    this.roundTimeout = null;
+    this.eventHandlers = {};
+
+    engines.forEach((engine, index) => {
+      engine.on('challengeDone', (data) => this.handleChallengeDone(index, data.outcome));
+    });
+  }
+
+  /**
+   * Start a duel
+   * @param {Object} config - Duel configuration (see modes.getDuelConfig)
+   * @param {string[]} config.players - One name per engine
+   * @param {number} config.wins - Round wins needed
+   * Everything else is passed to both engines as their run configuration
+   */
+  start(config) {
+    const { players, wins, ...rules } = config;
+
+    this.stopRoundTimeout();
+    this.config = config;
+    this.names = players;
+    this.winsNeeded = wins || DUEL_WINS;
+    this.wins = this.engines.map(() => 0);
+    this.round = 1;
+    this.results = this.engines.map(() => null);
+    this.roundOver = false;
+    this.isPlaying = true;
+
+    // Both sides share the seed: same seed, same round = same challenge.
+    // Each engine draws from its own generator (see GameEngine.reseed), so
+    // they never consume each other's numbers
+    const seed = rules.seed !== undefined && rules.seed !== null ? rules.seed : createSeed();
+
+    this.emit('duelStart', this.getStatus());
+    this.engines.forEach(engine => {
+      engine.startGame({ ...rules, seed, manualAdvance: true });
+    });
+  }
+
+  /**
+   * An engine finished its challenge (see GameEngine.advanceAfter)
+   * @param {number} index - Player index
+   * @param {string} outcome - 'correct', 'wrong', 'timeout' or 'skipped'
+   */
+  handleChallengeDone(index, outcome) {
+    if (!this.isPlaying || this.roundOver) return;
+
+    this.results[index] = outcome;
+
+    if (outcome === 'correct') {
+      this.wins[index]++;
+      this.engines.forEach((engine, other) => {
+        if (other !== index) engine.forfeitChallenge();
+      });
+      this.endRound(index);
+      return;
+    }
+
+    // Nobody got it
+    if (this.results.every(Boolean)) {
+      this.endRound(-1);
+    }
+  }
+
+  /**
+   * Announce the round result and schedule the next round
+   * @param {number} winner - Player index, or -1 if nobody won the round
+   */
+  endRound(winner) {
+    this.roundOver = true;
+
+    this.emit('roundEnd', {
+      round: this.round,
+      winner,
+      results: [...this.results],
+      ...this.getStatus()
+    });
+
+    this.roundTimeout = setTimeout(() => {
+      this.roundTimeout = null;
+      this.nextRound();
+    }, ROUND_PAUSE);
+  }
+
+  /**
+   * Start the next round on both sides, or finish the duel
+   */
+  nextRound() {
+    if (!this.isPlaying) return;
+
+    if (this.isDecided()) {
+      this.finish();
+      return;
+    }
+
+    this.round++;
+    this.results = this.engines.map(() => null);
+    this.roundOver = false;
+
+    this.emit('roundStart', { round: this.round, ...this.getStatus() });
+
+    // Both sides play the round at the same level (engines use fixedDifficulty)
+    const level = (this.config.difficulty || 1) + this.round - 1;
+    this.engines.forEach(engine => {
+      engine.state.difficulty = level;
+      engine.nextChallenge();
+    });
+  }
+
+  /**
+   * Whether someone reached the winning score or ran out of lives
+   */
+  isDecided() {
+    return this.wins.some(wins => wins >= this.winsNeeded) ||
+      this.engines.some(engine => engine.state.lives <= 0);
+  }
+
+  /**
+   * End the duel and announce the winner
+   */
+  finish() {
+    if (!this.isPlaying) return;
+
+    this.isPlaying = false;
+    this.stopRoundTimeout();
+    this.engines.forEach(engine => engine.endGame());
+
+    const status = this.getStatus();
+    this.emit('duelOver', {
+      winner: this.getWinner(status.players),
+      rounds: this.round,
+      ...status
+    });
+  }
+
+  /**
+   * Winner by round wins, then lives left, then score
+   * @returns {number} Player index, or -1 for a draw
+   */
+  getWinner(players) {
+    const ranked = [...players].sort((a, b) =>
+      b.wins - a.wins || b.lives - a.lives || b.score - a.score
+    );
+    const [first, second] = ranked;
+
+    if (second && first.wins === second.wins && first.lives === second.lives && first.score === second.score) {
+      return -1;
+    }
+    return first.index;
+  }
+
+  /**
+   * Pause both sides
+   */
+  pause() {
+    this.engines.forEach(engine => engine.pauseGame());
+  }
+
+  /**
+   * Resume both sides
+   */
+  resume() {
+    this.engines.forEach(engine => engine.resumeGame());
+  }
+
+  /**
+   * Cancel a scheduled next round
+   */
+  stopRoundTimeout() {
+    if (this.roundTimeout) {
+      clearTimeout(this.roundTimeout);
+      this.roundTimeout = null;
+    }
+  }
+
+  /**
+   * Scoreboard for both players
+   */
+  getStatus() {
+    return {
+      winsNeeded: this.winsNeeded,
+      players: this.engines.map((engine, index) => ({
+        index,
+        name: this.names[index],
+        wins: this.wins[index] || 0,
+        score: engine.state.score,
+        lives: engine.state.lives,
+        correctAnswers: engine.state.correctAnswers,
+        accuracy: engine.getAccuracy()
+      }))
+    };
+  }
+
+  /**
+   * Event system
+   */
+  on(event, handler) {
+    if (!this.eventHandlers[event]) {
+      this.eventHandlers[event] = [];
+    }
+    this.eventHandlers[event].push(handler);
+  }
+
+  emit(event, data) {
+    if (!this.eventHandlers[event]) return;
+    this.eventHandlers[event].forEach(handler => handler(data));
+  }
+
+  /**
+   * Stop the duel and release both engines
+   */
+  destroy() {
+    this.isPlaying = false;
+    this.stopRoundTimeout();
+    this.engines.forEach(engine => engine.destroy());
+    this.eventHandlers = {};
+  }
+}
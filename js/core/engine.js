@@ -4,13 +4,111 @@
 
 import { registry } from '../challenges/registry.js';
 import { getDifficultyParams, getBaseTimer } from './difficulty.js';
-import { updateGameStats } from '../storage.js';
+import {
+  updateGameStats,
+  updateDailyStats,
+  updatePracticeStats,
+  updateCategoryRunStats,
+  updateRulesetStats,
+  updateMasteryStats,
+  updateModeRunStats,
+  getRatings,
+  saveRatings,
+  saveCheckpoint,
+  clearCheckpoint,
+  getGhost,
+  saveGhost,
+  getChallengeStats,
+  saveChallengeStats
+} from '../storage.js';
+import { getAdaptiveDifficulty, getRatedLevel, updateRatings } from './rating.js';
+import { calculatePoints, MAX_HINTS } from './scoring.js';
+import { Countdown, Stopwatch, requestFrame } from './countdown.js';
+import { createPausableClock } from '../utils/timing.js';
+import {
+  createInventory,
+  getStreakReward,
+  POWER_UP_STREAK,
+  MAX_POWER_UPS,
+  FREEZE_DURATION
+} from './powerups.js';
+import { createSeed, normalizeSeed, deriveSeed, setSeed, random, createGenerator, useGenerator } from '../utils/prng.js';
+import {
+  createPlayers,
+  storePlayer,
+  loadPlayer,
+  findNextPlayer,
+  getStandings,
+  DEFAULT_ROUNDS
+} from './hotseat.js';
+import { createRecording, getGhostKey } from './ghost.js';
+import { createReplay } from './replay.js';
+import { resolveRules, hasUnlimitedLives, getRulesKey, getRulesLabel } from './rules.js';
+import { summarizeSession } from './mastery.js';
+import { reviewChallenges, getDueChallenges } from './training.js';
+
+/**
+ * Bump when the checkpoint shape changes (older checkpoints are ignored)
+ */
+export const CHECKPOINT_VERSION = 1;
+
+/**
+ * State fields saved in a checkpoint
+ */
+const CHECKPOINT_FIELDS = [
+  'lives', 'maxLives', 'score', 'winStreak', 'bestCombo', 'scoreBreakdown',
+  'difficulty', 'totalChallenges', 'correctAnswers', 'wrongAnswers',
+  'categoryStats', 'seed', 'powerUps', 'powerUpsEarned', 'skippedChallenges', 'runLog',
+  'replayEvents', 'sessionRemaining', 'bossLevel'
+];
+
+/**
+ * Levels between boss rounds: the first challenge at every multiple is a
+ * composite challenge (see registry.registerComposite)
+ */
+export const BOSS_EVERY = 10;
 
 export class GameEngine {
   constructor() {
+    this.rules = resolveRules(); // Lives, regain, penalty and minimum timer (see core/rules.js)
     this.state = this.getInitialState();
+    this.config = {};
+    this.selector = null;
+    this.ratings = null;
+    this.generator = createGenerator(); // Own random stream (see reseed)
+    this.resumePoint = null;
     this.currentChallenge = null;
+    this.countdown = null;
+    this.responseWatch = null;
+    this.runWatch = new Stopwatch(); // Run time without pauses (ghost timestamps)
+    this.sessionClock = null;        // Whole-run countdown (config.sessionTime)
+    this.cancelSessionFrame = null;
+    this.cancelFrame = null;
+    this.prepareClock = null;
+    this.skipPrepareHandler = null;
+    this.freezeClock = null;
+    this.turnResolve = null;
     this.eventHandlers = {};
+
+    this.bindLifecycleEvents();
+  }
+
+  /**
+   * Auto-pause when the page is hidden (app switch, tab change, screen lock)
+   * so leaving the game never costs a life
+   */
+  bindLifecycleEvents() {
+    if (typeof document === 'undefined') return;
+
+    this.handlePageHidden = () => {
+      if (document.visibilityState === 'hidden') {
+        this.pauseGame();
+      }
+    };
+    this.handlePageHide = () => this.pauseGame();
+
+    document.addEventListener('visibilitychange', this.handlePageHidden);
+    window.addEventListener('pagehide', this.handlePageHide);
   }
 
   /**
@@ -22,16 +120,25 @@ export class GameEngine {
       isPaused: false,
       
       // Player stats
-      lives: 5,
-      maxLives: 5,
-      score: 0,
+      lives: this.rules.lives,
+      maxLives: this.rules.lives,
+      score: 0, // Points (see core/scoring.js)
       winStreak: 0,
+      bestCombo: 0,
+
+      // Points earned per source over the run
+      scoreBreakdown: { base: 0, speed: 0, hints: 0, combo: 0 },
       
-      // Difficulty
+      // Difficulty (run level; adaptive runs only display it)
       difficulty: 1,
+
+      // Level the current challenge was built at
+      challengeDifficulty: 1,
       
       // Challenge tracking
       currentChallengeType: null,
+      currentChallengeId: null,
+      challengeAnswered: false,
       totalChallenges: 0,
       correctAnswers: 0,
       wrongAnswers: 0,
@@ -47,133 +154,214 @@ export class GameEngine {
       // Timer
       timeRemaining: 0,
       baseTime: 20,
-      timerInterval: null,
+
+      // Session clock (config.sessionTime): seconds left for the whole run,
+      // and the session length the bar is drawn against
+      sessionRemaining: null,
+      sessionTime: null,
+
+      // Last milestone level whose boss round was played
+      bossLevel: 0,
+
+      // Seconds from showing the last challenge to its answer (pauses excluded)
+      responseTime: null,
+
+      // Reading/memorize phase before the clock starts
+      isPreparing: false,
+
+      // Power-ups (see core/powerups.js)
+      powerUps: createInventory(),
+      powerUpsEarned: 0,
+      skippedChallenges: 0,
+      isFrozen: false,
+      fiftyFiftyUsed: false,
+
+      // Hints taken on the current challenge (see challenge.hint(level))
+      hintsUsed: 0,
+      hintsExhausted: false,
+
+      // Wrong answer explanation on screen: the run waits for dismissExplanation()
+      awaitingExplanation: false,
+
+      // One entry per finished challenge (see logChallenge)
+      runLog: [],
+
+      // Every input that decided the run, for replay files (see recordEvent)
+      replayEvents: [],
+
+      // Seed index the current challenge was built from
+      challengeIndex: 0,
+
+      // Hot-seat (see core/hotseat.js): player records, whose turn, round,
+      // and the challenge everyone plays this round
+      players: null,
+      currentPlayer: -1,
+      round: 1,
+      roundChallenge: null,
       
       // Game started timestamp
-      startTime: null
+      startTime: null,
+
+      // Run seed (same seed + same answers = same challenges)
+      seed: null
     };
   }
 
   /**
    * Start new game
+   * @param {Object} config - Run configuration (see core/modes.js)
+   * @param {string} config.mode - 'endless' (default), 'daily', 'practice', 'category' or 'zen'
+   * @param {number|string} config.seed - Optional seed to reproduce a run
+   * @param {number} config.challengeCount - Optional fixed run length
+   * @param {string[]} config.categories - Optional categories to limit selection to
+   * @param {string} config.runKey - Storage key for category runs (e.g. 'logic+math')
+   * @param {Array} config.selection - Optional selection policy spec (see registry.createSelector)
+   * @param {string} config.challengeId - Optional challenge to drill (practice)
+   * @param {number} config.difficulty - Optional starting difficulty
+   * @param {boolean} config.fixedDifficulty - Keep difficulty constant
+   * @param {boolean} config.unlimitedLives - Wrong answers never cost a life
+   * @param {Object} config.rules - Optional lives, regain, penalty and minimum
+   *   timer (see core/rules.js; classic rules when missing)
+   * @param {number} config.sessionTime - Optional seconds for the whole run;
+   *   the run ends when they run out (next to any per-challenge timer)
+   * @param {number} config.timeBonus - Seconds added to the session clock per
+   *   correct answer
+   * @param {boolean} config.timed - Set false to disable the challenge timer
+   * @param {boolean} config.adaptive - Build each challenge at the player's rated level
+   * @param {boolean} config.bossRounds - Set false to skip boss rounds (see BOSS_EVERY)
+   * @param {string[]} config.players - Hot-seat player names (2-6)
+   * @param {number} config.rounds - Hot-seat rounds
+   * @param {boolean} config.manualAdvance - Emit 'challengeDone' after each
+   *   challenge instead of loading the next one (the owner calls nextChallenge)
+   * @param {Object[]} config.queue - Optional { id, difficulty } per challenge
+   *   index, played before random selection takes over (e.g. a ghost's run
+   *   or a playlist)
+   * @param {string} config.ghostKey - Ghost race: key of the raced recording
+   * @param {boolean} config.playback - Replay playback: inputs come from a
+   *   ReplayPlayer, timeouts only when recorded, nothing is saved
+   * @param {number} config.recordedScore - Replay playback: the recorded score
    */
-  startGame() {
+  startGame(config = {}) {
+    this.config = { ...config };
+    this.rules = resolveRules(config.rules);
     this.state = this.getInitialState();
+    this.state.seed = config.seed !== undefined && config.seed !== null
+      ? normalizeSeed(config.seed)
+      : createSeed();
+    this.state.difficulty = config.difficulty || 1;
+    this.selector = registry.createSelector(config.selection);
+    this.ratings = config.adaptive ? getRatings() : null;
+    this.resumePoint = null;
     this.state.isPlaying = true;
     this.state.startTime = Date.now();
+    this.runWatch = new Stopwatch();
+    this.runWatch.start();
+
+    if (config.players) {
+      this.state.players = createPlayers(config.players, this.state);
+    }
     
     this.emit('gameStart', this.state);
+    this.startSessionClock(config.sessionTime);
     this.nextChallenge();
   }
 
+  /**
+   * Continue a run saved by saveCheckpoint() (e.g. after the tab was killed)
+   * An unanswered challenge is rebuilt with the same content
+   * @param {Object} checkpoint - From getCheckpoint()
+   */
+  resumeRun(checkpoint) {
+    this.config = { ...checkpoint.config };
+    this.rules = resolveRules(this.config.rules);
+    const initialState = this.getInitialState();
+    this.state = { ...initialState, ...checkpoint.state };
+    this.state.scoreBreakdown = { ...initialState.scoreBreakdown, ...checkpoint.state.scoreBreakdown };
+    this.selector = registry.createSelector(this.config.selection);
+    this.selector.setState(checkpoint.selector);
+    this.ratings = this.config.adaptive ? getRatings() : null;
+    this.resumePoint = null;
+
+    if (!checkpoint.answered && registry.hasChallenge(checkpoint.challenge.id)) {
+      this.state.totalChallenges = checkpoint.challenge.index;
+      this.resumePoint = checkpoint.challenge;
+    }
 
+    this.state.isPlaying = true;
+    this.state.startTime = Date.now() - (checkpoint.elapsed || 0);
+    this.runWatch = new Stopwatch();
+    this.runWatch.elapsedBeforeRun = checkpoint.runTime || 0;
+    this.runWatch.start();
 
-/**
- * DEBUGGING: Load next challenge with optional forced challenge ID and difficulty
-*/
-
-// async nextChallenge() {
-//     if (!this.state.isPlaying) return;
-
-//     // SAFEGUARD: Don't load new challenge if no lives left
-//     if (this.state.lives <= 0) {
-//       this.endGame();
-//       return;
-//     }
-
-//     // Clean up previous challenge
-//     if (this.currentChallenge && this.currentChallenge.cleanup) {
-//       this.currentChallenge.cleanup();
-//     }
-
-//     // Stop existing timer
-//     this.stopTimer();
-
-//     try {
-
-
-//       // ============================================================
-//       // 🛠️ DEBUG CONFIGURATION  Water Levels
-//       // Change 'active' to true to force a specific game/level
-//       // ============================================================
-//       const debugConfig = {
-//         active: true,           // <--- Set to TRUE to enable
-//         id: 'number-grid',       // ID of the game you want to test
-//         forceDifficulty: 1     // Set a number to force level, or null to keep natural progression
-//       };
-//       // ============================================================
-
-//       let challengeFactory;
-//       console.log('challage registry:', registry.challenges);
-//       // Logic to choose between Debug or Random
-//       if (debugConfig.active && debugConfig.id) {
-//         if (registry.hasChallenge(debugConfig.id)) {
-//           console.log(`🐞 DEBUG MODE: Forcing challenge "${debugConfig.id}"`);
-          
-//           // Get the specific challenge directly from the registry map
-//           challengeFactory = registry.challenges.get(debugConfig.id); //
-
-//           // Override difficulty if set
-//           if (debugConfig.forceDifficulty !== null) {
-//             this.state.difficulty = debugConfig.forceDifficulty;
-//             console.log(`🐞 DEBUG MODE: Forcing difficulty to Level ${this.state.difficulty}`);
-//           }
-//         } else {
-//           console.error(`❌ Debug Error: Challenge ID "${debugConfig.id}" not found. Falling back to random.`);
-//           challengeFactory = registry.getRandomChallenge(this.state.difficulty); 
-//         }
-//       } else {
-//         // Standard Behavior: Get random challenge
-//         challengeFactory = registry.getRandomChallenge(this.state.difficulty); 
-//       }
-      
-//       // ------------------------------------------------------------
-//       // The rest of the function remains the same...
-//       // ------------------------------------------------------------
-
-//       // 2. Extract the specific challenge base time from the metadata
-//       const challengeBaseTime = challengeFactory.metadata.baseTime;
-
-//       // 3. INSTANTIATE the actual challenge object using the factory function
-//       this.currentChallenge = challengeFactory.factory(this.state.difficulty); 
-
-//       // 4. Update state
-//       this.state.currentChallengeType = this.currentChallenge.category;
-//       this.state.totalChallenges++;
-
-//       // 5. Get the scaled timer for this challenge using its specific base time
-//       this.state.baseTime = getBaseTimer(
-//         challengeBaseTime, 
-//         this.state.difficulty
-//       );
-//       this.state.timeRemaining = this.state.baseTime;
+    this.emit('gameStart', this.state);
+    this.startSessionClock(this.state.sessionRemaining !== null ? this.state.sessionRemaining : this.config.sessionTime);
+    this.nextChallenge();
+  }
 
-//       // Emit challenge ready event
-//       this.emit('challengeReady', {
-//         challenge: this.currentChallenge,
-//         difficulty: this.state.difficulty,
-//         timeLimit: this.state.baseTime
-//       });
+  /**
+   * Serializable snapshot of the run
+   */
+  getCheckpoint() {
+    if (this.sessionClock) {
+      this.state.sessionRemaining = this.sessionClock.getRemaining();
+    }
 
-//       // ADD DELAY - Give 2.5 seconds to read instructions before timer starts
-//       await new Promise(resolve => setTimeout(resolve, 2500));
+    const state = {};
+    CHECKPOINT_FIELDS.forEach(field => {
+      state[field] = this.state[field];
+    });
 
-//       // Start timer AFTER delay
-//       this.startTimer();
+    return JSON.parse(JSON.stringify({
+      version: CHECKPOINT_VERSION,
+      savedAt: Date.now(),
+      config: this.config,
+      state,
+      selector: this.selector.getState(),
+      elapsed: Date.now() - this.state.startTime,
+      runTime: this.getRunTime(),
+      answered: this.state.challengeAnswered,
+      challenge: {
+        index: this.state.challengeIndex,
+        id: this.state.currentChallengeId,
+        difficulty: this.state.challengeDifficulty
+      }
+    }));
+  }
 
-//     } catch (error) {
-//       console.error('Error loading challenge:', error);
-//       this.endGame();
-//     }
-// }
+  /**
+   * Persist the run so it can be resumed after a reload
+   */
+  saveCheckpoint() {
+    if (!this.state.isPlaying || this.isSharedGame() || this.config.playback) return;
+    saveCheckpoint(this.getCheckpoint());
+  }
 
+  /**
+   * Reseed this engine's generator and make random() draw from it
+   * @param {number} seed
+   */
+  reseed(seed) {
+    useGenerator(this.generator);
+    setSeed(seed);
+  }
 
 
 /**
- * Load next random challenge
+ * Load next challenge (random, or the forced challenge in practice mode)
  */
 async nextChallenge() {
   if (!this.state.isPlaying) return;
+
+  // Hot-seat: hand the device to the next player before showing anything
+  if (this.state.players) {
+    if (!this.advanceTurn()) {
+      this.endGame();
+      return;
+    }
+    await this.waitForTurn();
+    if (!this.state.isPlaying) return;
+    this.emit('turnStart', this.getTurnInfo());
+  }
   
   // SAFEGUARD: Don't load new challenge if no lives left
   if (this.state.lives <= 0) {
@@ -181,6 +369,12 @@ async nextChallenge() {
     return;
   }
 
+  // Fixed-length runs (e.g. daily) end after their last challenge
+  if (this.config.challengeCount && this.state.totalChallenges >= this.config.challengeCount) {
+    this.endGame();
+    return;
+  }
+
   // Clean up previous challenge
   if (this.currentChallenge && this.currentChallenge.cleanup) {
     this.currentChallenge.cleanup();
@@ -188,40 +382,93 @@ async nextChallenge() {
 
   // Stop existing timer
   this.stopTimer();
+  this.cancelPrepare();
+  this.cancelFreeze();
 
   try {
-    // 1. Get random challenge FACTORY from registry (includes metadata)
-    const challengeFactory = registry.getRandomChallenge(this.state.difficulty); 
+    // 0. Reseed from the run seed and challenge index so every challenge
+    // is reproducible on its own, regardless of what ran before it
+    const seedIndex = this.getSeedIndex();
+    this.reseed(deriveSeed(this.state.seed, seedIndex));
+
+    // 1. Get challenge FACTORY from registry (includes metadata)
+    // A resumed run rebuilds the challenge it was interrupted on, hot-seat
+    // players after the first get the round's challenge, and queued runs
+    // play their planned challenge for this index
+    const planned = this.resumePoint || this.state.roundChallenge || this.getQueuedChallenge(seedIndex);
+    this.resumePoint = null;
+    const challengeFactory = planned
+      ? registry.challenges.get(planned.id)
+      : this.selectChallenge();
     
     // 2. Extract the specific challenge base time from the metadata
     const challengeBaseTime = challengeFactory.metadata.baseTime;
 
     // 3. INSTANTIATE the actual challenge object using the factory function
-    // The previous code was missing this crucial step!
-    this.currentChallenge = challengeFactory.factory(this.state.difficulty); 
+    // Reseed again so the content only depends on the seed, index, challenge
+    // and level - not on how many draws the selection took
+    this.state.challengeDifficulty = planned
+      ? planned.difficulty
+      : this.getChallengeDifficulty(challengeFactory);
+    this.reseed(deriveSeed(this.state.seed, seedIndex));
+    this.currentChallenge = challengeFactory.factory(this.state.challengeDifficulty);
+
+    if (this.state.players) {
+      this.state.roundChallenge = { id: challengeFactory.id, difficulty: this.state.challengeDifficulty };
+    }
+
+    // Loaded while paused (e.g. during answer feedback): start it frozen
+    if (this.state.isPaused && this.currentChallenge.pause) {
+      this.currentChallenge.pause();
+    }
 
     // 4. Update state
     this.state.currentChallengeType = this.currentChallenge.category;
+    this.state.currentChallengeId = challengeFactory.id;
+    this.state.challengeAnswered = false;
+    this.state.fiftyFiftyUsed = false;
+    this.state.hintsUsed = 0;
+    this.state.hintsExhausted = false;
+    this.state.challengeIndex = seedIndex;
     this.state.totalChallenges++;
 
     // 5. Get the scaled timer for this challenge using its specific base time
     this.state.baseTime = getBaseTimer(
       challengeBaseTime, // <-- NOW PASSING THE CHALLENGE'S SPECIFIC BASE TIME (e.g., 60s)
-      this.state.difficulty
+      this.state.challengeDifficulty,
+      this.rules.minTime
     );
     this.state.timeRemaining = this.state.baseTime;
+    this.countdown = new Countdown(this.state.baseTime);
+    this.responseWatch = new Stopwatch();
+    if (!this.state.isPaused) {
+      this.responseWatch.start();
+    }
 
-    // Emit challenge ready event
-    this.emit('challengeReady', {
+    // Emit challenge ready event (and wait for the UI to render it)
+    const countdown = this.countdown;
+    await this.emitAsync('challengeReady', {
       challenge: this.currentChallenge, // Now correctly emitting the INSTANCE
       difficulty: this.state.difficulty,
-      timeLimit: this.state.baseTime
+      challengeDifficulty: this.state.challengeDifficulty,
+      timeLimit: this.state.baseTime,
+      challengeNumber: this.state.totalChallenges,
+      challengeCount: this.config.challengeCount || null
     });
 
-    // ADD DELAY - Give 2.5 seconds to read instructions before timer starts
-    await new Promise(resolve => setTimeout(resolve, 2500));
+    this.saveCheckpoint();
+    this.emitAssists();
+
+    // Reading (or memorize) phase before the clock starts
+    if (this.countdown !== countdown) return;
+    await this.prepareChallenge(challengeFactory.metadata.prepareTime);
+
+    // Untimed runs (e.g. practice without timer) never start the clock
+    if (!this.isTimed()) return;
 
-    // Start timer AFTER delay
+    // Start timer AFTER the prepare phase (unless paused meanwhile: resumeGame
+    // starts it, or the challenge was already answered and replaced)
+    if (!this.state.isPlaying || this.state.isPaused || this.countdown !== countdown) return;
     this.startTimer();
 
   } catch (error) {
@@ -230,25 +477,197 @@ async nextChallenge() {
   }
 }
 
+  /**
+   * Prepare phase: a skippable 3-2-1 reading countdown, or the challenge's
+   * own memorize phase if it has one (e.g. playing a color sequence)
+   * @param {number} prepareTime - Seconds of reading time (registry metadata)
+   */
+  async prepareChallenge(prepareTime) {
+    const challenge = this.currentChallenge;
+    const useCountdown = !challenge.memorize && this.isTimed() && prepareTime > 0;
+    if (!challenge.memorize && !useCountdown) return;
+
+    this.state.isPreparing = true;
+
+    if (challenge.memorize) {
+      this.emit('challengePrepare', { type: 'memorize' });
+      await challenge.memorize();
+    } else {
+      const count = Math.ceil(prepareTime);
+      const step = (prepareTime * 1000) / count;
+      const clock = createPausableClock();
+      const skipped = new Promise(resolve => {
+        this.skipPrepareHandler = resolve;
+      });
+
+      this.prepareClock = clock;
+      if (this.state.isPaused) {
+        clock.pause();
+      }
+
+      this.emit('challengePrepare', { type: 'countdown', duration: prepareTime, count });
+
+      for (let remaining = count; remaining > 0; remaining--) {
+        this.emit('prepareTick', { count: remaining });
+        const result = await Promise.race([clock.wait(step), skipped.then(() => 'skip')]);
+        if (result === 'skip') break;
+      }
+
+      clock.cancel();
+      if (this.prepareClock === clock) {
+        this.prepareClock = null;
+        this.skipPrepareHandler = null;
+      }
+    }
+
+    // A newer challenge may have replaced this one meanwhile
+    if (this.currentChallenge !== challenge) return;
+
+    this.state.isPreparing = false;
+    this.emit('challengeStart', { timeLimit: this.state.baseTime });
+    this.emitAssists();
+  }
+
+  /**
+   * Abandon the prepare phase (challenge answered, replaced or game ended)
+   */
+  cancelPrepare() {
+    if (this.prepareClock) {
+      this.prepareClock.cancel();
+    }
+    this.prepareClock = null;
+    this.skipPrepareHandler = null;
+    this.state.isPreparing = false;
+  }
+
+  /**
+   * Skip the reading countdown (tap to start); memorize phases can't be skipped
+   */
+  skipPrepare() {
+    if (this.skipPrepareHandler) {
+      this.skipPrepareHandler();
+    }
+  }
+
+  /**
+   * Pick the challenge factory for the next round
+   * @returns {Object} Challenge factory object {id, category, factory, metadata}
+   */
+  selectChallenge() {
+    // Practice mode drills a single challenge type
+    if (this.config.challengeId) {
+      if (!registry.hasChallenge(this.config.challengeId)) {
+        throw new Error(`Challenge "${this.config.challengeId}" not found`);
+      }
+      return registry.challenges.get(this.config.challengeId);
+    }
+
+    const boss = this.selectBoss();
+    if (boss) {
+      return boss;
+    }
+
+    return this.selector.next(this.getSelectionLevel(), this.config.categories);
+  }
+
+  /**
+   * Level that decides which challenges can come up: in adaptive runs each
+   * challenge's own rated level (the run level is only shown), otherwise
+   * the run level
+   * @returns {number|Function} See registry.getAvailableChallenges
+   */
+  getSelectionLevel() {
+    if (!this.ratings) {
+      return this.state.difficulty;
+    }
+    return challenge => getRatedLevel(this.ratings, challenge);
+  }
+
+  /**
+   * Boss round, once per milestone level (every BOSS_EVERY levels)
+   * Runs at a fixed level, limited to some categories or with
+   * config.bossRounds set to false never get one
+   * @returns {Object|null} Composite challenge factory object
+   */
+  selectBoss() {
+    const level = this.state.difficulty;
+    if (this.config.bossRounds === false || this.config.fixedDifficulty || this.config.categories) return null;
+    if (level % BOSS_EVERY !== 0 || this.state.bossLevel >= level) return null;
+
+    const bosses = registry.getComposites(level);
+    if (bosses.length === 0) return null;
+
+    this.state.bossLevel = level;
+    return bosses[Math.floor(random() * bosses.length)];
+  }
+
+  /**
+   * Level to build a challenge at: the player's rating for it in adaptive
+   * runs, otherwise the run level
+   * @param {Object} challengeFactory - Registry entry {id, category, factory, metadata}
+   */
+  getChallengeDifficulty(challengeFactory) {
+    // Bosses are milestones: they play at the run level
+    if (!this.ratings || challengeFactory.metadata.stages) {
+      return this.state.difficulty;
+    }
+    return getAdaptiveDifficulty(this.ratings, challengeFactory);
+  }
+
+  /**
+   * Update and persist the player's rating after an answer or timeout
+   * Faster correct answers count as a stronger performance
+   */
+  recordRating(isCorrect) {
+    if (!this.ratings) return;
+
+    const speed = this.isTimed() && this.state.baseTime > 0
+      ? this.state.timeRemaining / this.state.baseTime
+      : 0.5;
+
+    updateRatings(
+      this.ratings,
+      this.state.currentChallengeId,
+      this.currentChallenge.category,
+      this.state.challengeDifficulty,
+      isCorrect,
+      speed
+    );
+    saveRatings(this.ratings);
+  }
+
+  /**
+   * Whether challenges in this run are timed
+   */
+  isTimed() {
+    return this.config.timed !== false;
+  }
+
 /**
- * Start countdown timer
+ * Start (or resume) the countdown timer
+ * Time left comes from monotonic timestamps; frames only report it
  */
 startTimer() {
+  if (!this.countdown || this.state.challengeAnswered || this.state.isPreparing || this.state.isFrozen) return;
+
   this.stopTimer(); // Clear any existing timer
+  this.countdown.start();
 
-  this.state.timerInterval = setInterval(() => {
+  const frame = () => {
     // Stop if game ended
     if (!this.state.isPlaying || this.state.lives <= 0) {
       this.stopTimer();
       return;
     }
     
-    this.state.timeRemaining -= 0.1;
+    this.state.timeRemaining = this.countdown.getRemaining();
 
-    if (this.state.timeRemaining <= 0) {
-      this.state.timeRemaining = 0;
+    if (this.countdown.isExpired()) {
       this.stopTimer(); // Stop timer before handling timeout
-      this.handleTimeout();
+      // Replays time out when the recording did (see ReplayPlayer)
+      if (!this.config.playback) {
+        this.handleTimeout();
+      }
       return;
     }
 
@@ -257,38 +676,66 @@ startTimer() {
       baseTime: this.state.baseTime,
       percentage: (this.state.timeRemaining / this.state.baseTime) * 100
     });
-  }, 100);
+
+    this.cancelFrame = requestFrame(frame);
+  };
+
+  this.cancelFrame = requestFrame(frame);
 }
 
   /**
-   * Stop timer
+   * Stop (pause) timer, keeping the exact time left
    */
   stopTimer() {
-    if (this.state.timerInterval) {
-      clearInterval(this.state.timerInterval);
-      this.state.timerInterval = null;
+    if (this.cancelFrame) {
+      this.cancelFrame();
+      this.cancelFrame = null;
+    }
+    if (this.countdown) {
+      this.countdown.pause();
+      this.state.timeRemaining = this.countdown.getRemaining();
     }
   }
 
+  /**
+   * Freeze the response stopwatch for the current challenge
+   */
+  recordResponseTime() {
+    if (!this.responseWatch) return;
+    this.responseWatch.pause();
+    this.state.responseTime = this.responseWatch.getElapsedMs() / 1000;
+  }
+
   /**
    * Handle player answer
+   * Answers wait for the clock: none count during the prepare phase
    */
   submitAnswer(answer) {
-    if (!this.state.isPlaying || !this.currentChallenge) return;
+    if (!this.state.isPlaying || !this.currentChallenge || this.state.challengeAnswered) return;
+    if (this.state.isPreparing) return;
 
+    this.recordEvent('answer', { answer: Array.isArray(answer) ? [...answer] : answer });
     this.stopTimer();
+    this.cancelFreeze();
+    this.recordResponseTime();
 
     const isCorrect = this.currentChallenge.check(answer);
     const category = this.currentChallenge.category;
+    this.state.challengeAnswered = true;
 
     // Update category stats
     this.state.categoryStats[category].attempts++;
+    this.recordRating(isCorrect);
 
     if (isCorrect) {
       this.handleCorrectAnswer();
     } else {
-      this.handleWrongAnswer();
+      this.handleWrongAnswer(answer);
     }
+    this.logChallenge(isCorrect ? 'correct' : 'wrong', answer);
+    // Saved once the answer is logged, so a resumed run keeps it for review
+    this.saveCheckpoint();
+    this.emitAssists();
   }
 
   /**
@@ -298,51 +745,104 @@ startTimer() {
     const category = this.currentChallenge.category;
     
     // Update stats
-    this.state.score++;
     this.state.correctAnswers++;
     this.state.winStreak++;
+    this.state.bestCombo = Math.max(this.state.bestCombo, this.state.winStreak);
     this.state.categoryStats[category].correct++;
 
-    // Increase difficulty
-    this.state.difficulty++;
+    // Award points for level, speed and combo
+    const points = calculatePoints({
+      difficulty: this.state.challengeDifficulty,
+      timeRemaining: this.state.timeRemaining,
+      baseTime: this.state.baseTime,
+      winStreak: this.state.winStreak,
+      timed: this.isTimed(),
+      hintsUsed: this.state.hintsUsed
+    });
+    this.state.score += points.points;
+    this.state.scoreBreakdown.base += points.base;
+    this.state.scoreBreakdown.speed += points.speed;
+    this.state.scoreBreakdown.hints += points.hints;
+    this.state.scoreBreakdown.combo += points.combo;
+
+    // Increase difficulty (practice keeps the chosen level)
+    if (!this.config.fixedDifficulty) {
+      this.state.difficulty++;
+    }
 
-    // Check for life gain (every 3 wins)
-    if (this.state.winStreak === 3) {
+    // Check for life gain (every few wins, per the rules; the streak keeps
+    // counting for the combo)
+    const regainEvery = this.rules.regainEvery;
+    if (regainEvery > 0 && this.state.winStreak % regainEvery === 0 && !hasUnlimitedLives(this.config)) {
       if (this.state.lives < this.state.maxLives) {
         this.state.lives++;
         this.emit('lifeGained', { lives: this.state.lives });
       }
-      this.state.winStreak = 0;
+    }
+
+    // Earn a power-up for every POWER_UP_STREAK wins in a row
+    if (this.state.winStreak % POWER_UP_STREAK === 0) {
+      const type = getStreakReward(this.state.powerUpsEarned++);
+      if (this.state.powerUps[type] < MAX_POWER_UPS) {
+        this.state.powerUps[type]++;
+        this.emit('powerUpEarned', { type, inventory: { ...this.state.powerUps } });
+      }
+    }
+
+    // Session runs buy time with every correct answer
+    if (this.sessionClock && this.config.timeBonus) {
+      this.extendSession(this.config.timeBonus);
     }
 
     this.emit('answerCorrect', {
       score: this.state.score,
+      points,
+      responseTime: this.state.responseTime,
       difficulty: this.state.difficulty,
       winStreak: this.state.winStreak,
       lives: this.state.lives
     });
 
     // Next challenge after short delay
-    setTimeout(() => {
-      this.nextChallenge();
-    }, 800);
+    this.advanceAfter(800, 'correct');
   }
 
 /**
  * Handle wrong answer
  */
-handleWrongAnswer() {
+handleWrongAnswer(answer) {
   this.state.wrongAnswers++;
   this.state.winStreak = 0;
-  this.state.lives--;
+  if (!hasUnlimitedLives(this.config)) {
+    this.state.lives = Math.max(0, this.state.lives - this.rules.penalty);
+  }
 
   this.emit('answerWrong', {
     lives: this.state.lives,
-    correctAnswer: this.currentChallenge.correctAnswer
+    responseTime: this.state.responseTime,
+    correctAnswer: this.currentChallenge.correctAnswer,
+    explained: this.canExplain()
   });
 
+  if (this.config.manualAdvance) {
+    this.advanceAfter(0, answer === undefined ? 'timeout' : 'wrong');
+    return;
+  }
+
+  // Challenges that explain themselves hold the run until the player has read it
+  const explanation = this.getExplanation(answer);
+  if (explanation) {
+    this.state.awaitingExplanation = true;
+    this.emit('explanationReady', {
+      html: explanation,
+      timedOut: answer === undefined,
+      gameOver: this.isRunOver()
+    });
+    return;
+  }
+
   // Check for game over IMMEDIATELY
-  if (this.state.lives <= 0) {
+  if (this.isRunOver()) {
     setTimeout(() => {
       this.endGame();
     }, 1000);
@@ -355,6 +855,234 @@ handleWrongAnswer() {
   }, 1200);
 }
 
+  /**
+   * Add the current challenge to the run log (after its outcome was applied)
+   * @param {string} outcome - 'correct', 'wrong', 'timeout', 'skipped' or 'forfeited'
+   * @param {any} answer - The player's answer, if any
+   */
+  logChallenge(outcome, answer = null) {
+    const info = registry.challenges.get(this.state.currentChallengeId);
+
+    this.state.runLog.push({
+      index: this.state.challengeIndex,
+      id: this.state.currentChallengeId,
+      name: info ? info.metadata.name : this.state.currentChallengeId,
+      difficulty: this.state.challengeDifficulty,
+      answer: Array.isArray(answer) ? [...answer] : answer,
+      correctAnswer: this.currentChallenge.correctAnswer,
+      responseTime: this.state.responseTime,
+      hintsUsed: this.state.hintsUsed,
+      player: this.state.players ? this.state.players[this.state.currentPlayer].name : null,
+      outcome,
+      // When it ended (run time) and where the run stood (ghost recordings)
+      elapsed: Math.round(this.getRunTime()),
+      score: this.state.score,
+      lives: this.state.lives
+    });
+  }
+
+  /**
+   * Build a logged challenge again with the same content (e.g. to review it)
+   * @param {Object} entry - Run log entry
+   * @returns {Object|null} Challenge instance
+   */
+  rebuildChallenge(entry) {
+    if (!registry.hasChallenge(entry.id)) return null;
+
+    this.reseed(deriveSeed(this.state.seed, entry.index));
+    return registry.challenges.get(entry.id).factory(entry.difficulty);
+  }
+
+  /**
+   * Planned challenge for a seed index from config.queue, if any
+   * @returns {Object|null} { id, difficulty }
+   */
+  getQueuedChallenge(index) {
+    const queued = this.config.queue && this.config.queue[index];
+    return queued && registry.hasChallenge(queued.id) ? queued : null;
+  }
+
+  /**
+   * Run time in milliseconds, pauses excluded
+   */
+  getRunTime() {
+    return this.runWatch.getElapsedMs();
+  }
+
+  /**
+   * Milliseconds the current challenge has been on screen, pauses excluded
+   */
+  getChallengeTime() {
+    return this.responseWatch ? this.responseWatch.getElapsedMs() : 0;
+  }
+
+  /**
+   * Replay playback: set the challenge clock to a recorded reading, so an
+   * answer scores the same speed points as in the recording
+   * @param {number} ms - Time on the clock when the input was recorded
+   */
+  setChallengeClock(ms) {
+    if (!this.countdown) return;
+    this.countdown.setElapsedMs(ms);
+    this.state.timeRemaining = this.countdown.getRemaining();
+  }
+
+  /**
+   * Add an input to the run's replay events
+   * @param {string} type - 'answer', 'timeout', 'hint', 'powerUp' or 'end'
+   * @param {Object} data - Input details (e.g. { answer })
+   */
+  recordEvent(type, data = {}) {
+    this.state.replayEvents.push({
+      n: this.state.totalChallenges, // Challenge number
+      type,
+      t: Math.round(this.getChallengeTime()),
+      clock: this.countdown ? Math.round(this.countdown.getElapsedMs()) : 0,
+      ...data
+    });
+  }
+
+  /**
+   * The run as a replay file (see core/replay.js)
+   */
+  getReplay() {
+    return createReplay(this.config, this.state);
+  }
+
+  /**
+   * Seed index for the next challenge: the challenge number, or the round
+   * in hot-seat games so every player gets the same challenge
+   */
+  getSeedIndex() {
+    return this.state.players ? this.state.round - 1 : this.state.totalChallenges;
+  }
+
+  /**
+   * Shared-device games (hot-seat, duel) are not checkpointed, leave any
+   * interrupted single-player run alone and never touch stats
+   */
+  isSharedGame() {
+    return Boolean(this.state.players) || this.config.mode === 'duel';
+  }
+
+  /**
+   * Whether nobody has lives left (hot-seat: every player is out)
+   */
+  isRunOver() {
+    if (!this.state.players) return this.state.lives <= 0;
+
+    return this.state.players.every((player, index) =>
+      (index === this.state.currentPlayer ? this.state.lives : player.lives) <= 0
+    );
+  }
+
+  /**
+   * Hot-seat: save the current player and make the next one with lives
+   * left active, starting a new round after the last player
+   * @returns {boolean} False when the game is over
+   */
+  advanceTurn() {
+    const players = this.state.players;
+    if (this.state.currentPlayer >= 0) {
+      storePlayer(players[this.state.currentPlayer], this.state);
+    }
+
+    let next = findNextPlayer(players, this.state.currentPlayer);
+    if (next === -1) {
+      this.state.round++;
+      this.state.roundChallenge = null;
+      next = findNextPlayer(players, -1);
+    }
+
+    if (next === -1 || this.state.round > (this.config.rounds || DEFAULT_ROUNDS)) {
+      return false;
+    }
+
+    this.state.currentPlayer = next;
+    loadPlayer(players[next], this.state);
+
+    // Everyone plays the round at the same level
+    this.state.difficulty = (this.config.difficulty || 1) + this.state.round - 1;
+    return true;
+  }
+
+  /**
+   * Hot-seat: wait on the handoff screen until beginTurn() is called
+   */
+  waitForTurn() {
+    return new Promise(resolve => {
+      this.turnResolve = resolve;
+      this.emit('turnHandoff', this.getTurnInfo());
+    });
+  }
+
+  /**
+   * Hot-seat: the next player is holding the device
+   */
+  beginTurn() {
+    if (!this.turnResolve) return;
+
+    const resolve = this.turnResolve;
+    this.turnResolve = null;
+    resolve();
+  }
+
+  /**
+   * Hot-seat: whose turn it is and how everyone stands
+   */
+  getTurnInfo() {
+    const players = this.state.players;
+    storePlayer(players[this.state.currentPlayer], this.state);
+
+    return {
+      player: players[this.state.currentPlayer].name,
+      playerIndex: this.state.currentPlayer,
+      round: this.state.round,
+      rounds: this.config.rounds || DEFAULT_ROUNDS,
+      lives: this.state.lives,
+      score: this.state.score,
+      difficulty: this.state.difficulty,
+      standings: getStandings(players)
+    };
+  }
+
+  /**
+   * Whether the current challenge explains its answer (see explain())
+   */
+  canExplain() {
+    return Boolean(this.currentChallenge && this.currentChallenge.explain);
+  }
+
+  /**
+   * Explanation HTML for the current challenge, if it provides one
+   * @param {any} answer - The wrong answer (undefined on timeout)
+   */
+  getExplanation(answer) {
+    if (!this.canExplain()) return null;
+
+    try {
+      return this.currentChallenge.explain(answer) || null;
+    } catch (error) {
+      console.error('Error explaining challenge:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Continue after the player closes the explanation
+   */
+  dismissExplanation() {
+    if (!this.state.isPlaying || !this.state.awaitingExplanation) return;
+
+    this.state.awaitingExplanation = false;
+
+    if (this.isRunOver()) {
+      this.endGame();
+    } else {
+      this.nextChallenge();
+    }
+  }
+
 /**
  * Handle timeout 
  */
@@ -364,13 +1092,317 @@ handleTimeout() {
     return;
   }
   
+  this.recordEvent('timeout');
+  this.state.challengeAnswered = true;
+  this.recordResponseTime();
+  this.recordRating(false);
+
   this.emit('timeout', {
-    correctAnswer: this.currentChallenge.correctAnswer
+    correctAnswer: this.currentChallenge.correctAnswer,
+    responseTime: this.state.responseTime,
+    explained: this.canExplain()
   });
 
   this.handleWrongAnswer();
+  this.logChallenge('timeout');
+  this.saveCheckpoint();
+  this.emitAssists();
 }
 
+  /**
+   * Power-ups usable on the current challenge right now
+   * Skip and freeze work everywhere once the clock runs; challenges declare extras (e.g. 50/50)
+   * in their registry metadata
+   */
+  getAvailablePowerUps() {
+    if (!this.state.isPlaying || this.state.isPaused || !this.currentChallenge || this.state.challengeAnswered) {
+      return [];
+    }
+
+    const info = registry.challenges.get(this.state.currentChallengeId);
+    const supported = info ? info.metadata.powerUps : [];
+
+    return supported.filter(type => {
+      if (!this.state.powerUps[type]) return false;
+      if (type === 'skip') {
+        return !this.state.isPreparing;
+      }
+      if (type === 'freeze') {
+        return this.isTimed() && !this.state.isPreparing && !this.state.isFrozen;
+      }
+      if (type === 'fiftyFifty') {
+        return !this.state.fiftyFiftyUsed && Boolean(this.currentChallenge.fiftyFifty);
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Spend a power-up on the current challenge
+   * @param {string} type - 'skip', 'freeze' or 'fiftyFifty'
+   * @returns {boolean} Whether it was used
+   */
+  usePowerUp(type) {
+    if (!this.getAvailablePowerUps().includes(type)) return false;
+
+    this.recordEvent('powerUp', { powerUp: type });
+    this.state.powerUps[type]--;
+
+    if (type === 'skip') {
+      this.skipChallenge();
+    } else if (type === 'freeze') {
+      this.freezeTimer(FREEZE_DURATION);
+    } else if (type === 'fiftyFifty') {
+      this.state.fiftyFiftyUsed = true;
+      // Drawn from the challenge's seed, not the run's stream, so a replay
+      // or ghost run removes the same options
+      this.reseed(deriveSeed(deriveSeed(this.state.seed, this.state.challengeIndex), 0));
+      this.currentChallenge.fiftyFifty();
+    }
+
+    this.emit('powerUpUsed', { type, inventory: { ...this.state.powerUps } });
+    this.emitAssists();
+    return true;
+  }
+
+  /**
+   * Tell the UI which power-ups and hints the player can use right now
+   */
+  emitAssists() {
+    this.emit('powerUpsChanged', {
+      inventory: { ...this.state.powerUps },
+      available: this.getAvailablePowerUps()
+    });
+    this.emit('hintsChanged', {
+      supported: Boolean(this.currentChallenge && this.currentChallenge.hint),
+      available: this.canUseHint(),
+      hintsUsed: this.state.hintsUsed
+    });
+  }
+
+  /**
+   * Whether the current challenge can give another hint right now
+   */
+  canUseHint() {
+    return Boolean(
+      this.state.isPlaying &&
+      !this.state.isPaused &&
+      this.currentChallenge &&
+      this.currentChallenge.hint &&
+      !this.state.challengeAnswered &&
+      !this.state.isPreparing &&
+      !this.state.hintsExhausted &&
+      this.state.hintsUsed < MAX_HINTS
+    );
+  }
+
+  /**
+   * Ask the current challenge for its next hint
+   * Each hint taken lowers the points for a correct answer (see scoring.js)
+   * @returns {string|null} Hint text, or null if none is available
+   */
+  useHint() {
+    if (!this.canUseHint()) return null;
+
+    this.recordEvent('hint');
+    const level = this.state.hintsUsed + 1;
+    const text = this.currentChallenge.hint(level);
+
+    if (!text) {
+      this.state.hintsExhausted = true;
+      this.emitAssists();
+      return null;
+    }
+
+    this.state.hintsUsed = level;
+    this.emit('hintShown', { level, text, hintsUsed: level });
+    this.emitAssists();
+    return text;
+  }
+
+  /**
+   * A composite challenge moved on to its next stage: a stage that ran out
+   * of hints no longer holds back the next one's
+   */
+  handleStageChange() {
+    if (!this.state.isPlaying || !this.currentChallenge || !this.currentChallenge.stages) return;
+
+    this.state.hintsExhausted = false;
+    this.emitAssists();
+  }
+
+  /**
+   * Skip power-up: move on without a life lost or the streak broken
+   */
+  skipChallenge() {
+    this.stopTimer();
+    this.cancelFreeze();
+    this.state.challengeAnswered = true;
+    this.recordResponseTime();
+    this.state.skippedChallenges++;
+    this.logChallenge('skipped');
+
+    this.emit('challengeSkipped', {
+      correctAnswer: this.currentChallenge.correctAnswer
+    });
+
+    this.saveCheckpoint();
+
+    this.advanceAfter(600, 'skipped');
+  }
+
+  /**
+   * End the current challenge without an answer because it was decided
+   * elsewhere (e.g. the duel opponent answered first): no life is lost, it
+   * doesn't count towards accuracy, but the streak is over
+   */
+  forfeitChallenge() {
+    if (!this.state.isPlaying || !this.currentChallenge || this.state.challengeAnswered) return;
+
+    this.stopTimer();
+    this.cancelPrepare();
+    this.cancelFreeze();
+    this.state.challengeAnswered = true;
+    this.recordResponseTime();
+    this.state.skippedChallenges++;
+    this.state.winStreak = 0;
+    this.logChallenge('forfeited');
+
+    this.emit('challengeForfeited', {
+      correctAnswer: this.currentChallenge.correctAnswer
+    });
+    this.emitAssists();
+  }
+
+  /**
+   * Load the next challenge after `delay` ms, or hand over to the owner
+   * of a manualAdvance run (see startGame)
+   * @param {number} delay - Milliseconds
+   * @param {string} outcome - How the challenge ended (see logChallenge)
+   */
+  advanceAfter(delay, outcome) {
+    if (this.config.manualAdvance) {
+      this.emit('challengeDone', { outcome, lives: this.state.lives });
+      return;
+    }
+
+    setTimeout(() => {
+      this.nextChallenge();
+    }, delay);
+  }
+
+  /**
+   * Freeze power-up: stop the clock for a few seconds (pausing the game
+   * pauses the freeze too)
+   * @param {number} seconds
+   */
+  freezeTimer(seconds) {
+    this.stopTimer();
+    this.state.isFrozen = true;
+
+    const clock = createPausableClock();
+    this.freezeClock = clock;
+    this.emit('timerFrozen', { duration: seconds });
+
+    clock.wait(seconds * 1000).then(() => {
+      if (this.freezeClock !== clock) return;
+
+      this.freezeClock = null;
+      this.state.isFrozen = false;
+      this.emit('timerUnfrozen', {});
+
+      if (!this.state.isPaused) {
+        this.startTimer();
+      }
+      this.emitAssists();
+    });
+  }
+
+  /**
+   * End a freeze early (challenge answered, replaced or game ended)
+   */
+  cancelFreeze() {
+    if (this.freezeClock) {
+      this.freezeClock.cancel();
+      this.freezeClock = null;
+      this.emit('timerUnfrozen', {});
+    }
+    this.state.isFrozen = false;
+  }
+
+  /**
+   * Start the session clock (runs with config.sessionTime only)
+   * @param {number} seconds - Time left for the run
+   */
+  startSessionClock(seconds) {
+    this.sessionClock = null;
+    if (!this.config.sessionTime) return;
+
+    this.sessionClock = new Countdown(seconds);
+    this.state.sessionTime = this.config.sessionTime;
+    this.state.sessionRemaining = seconds;
+    if (!this.state.isPaused) {
+      this.resumeSessionClock();
+    }
+  }
+
+  /**
+   * Run the session clock; the run ends when it runs out
+   */
+  resumeSessionClock() {
+    if (!this.sessionClock || !this.state.isPlaying) return;
+
+    this.pauseSessionClock();
+    this.sessionClock.start();
+
+    const frame = () => {
+      if (!this.state.isPlaying) return;
+
+      this.state.sessionRemaining = this.sessionClock.getRemaining();
+      this.emit('sessionTick', {
+        sessionRemaining: this.state.sessionRemaining,
+        sessionTime: Math.max(this.state.sessionTime, this.state.sessionRemaining)
+      });
+
+      if (this.sessionClock.isExpired()) {
+        this.cancelSessionFrame = null;
+        // Replays end when the recording did (see ReplayPlayer)
+        if (!this.config.playback) {
+          this.endGame();
+        }
+        return;
+      }
+
+      this.cancelSessionFrame = requestFrame(frame);
+    };
+
+    this.cancelSessionFrame = requestFrame(frame);
+  }
+
+  /**
+   * Stop the session clock, keeping the time left
+   */
+  pauseSessionClock() {
+    if (this.cancelSessionFrame) {
+      this.cancelSessionFrame();
+      this.cancelSessionFrame = null;
+    }
+    if (this.sessionClock) {
+      this.sessionClock.pause();
+      this.state.sessionRemaining = this.sessionClock.getRemaining();
+    }
+  }
+
+  /**
+   * Add time to the session clock
+   * @param {number} seconds
+   */
+  extendSession(seconds) {
+    this.sessionClock.extend(seconds);
+    this.state.sessionRemaining = this.sessionClock.getRemaining();
+    this.emit('sessionExtended', { seconds, sessionRemaining: this.state.sessionRemaining });
+  }
+
   /**
    * Pause game
    */
@@ -379,6 +1411,23 @@ handleTimeout() {
 
     this.state.isPaused = true;
     this.stopTimer();
+    this.pauseSessionClock();
+    this.runWatch.pause();
+    if (this.responseWatch) {
+      this.responseWatch.pause();
+    }
+    if (this.prepareClock) {
+      this.prepareClock.pause();
+    }
+    if (this.freezeClock) {
+      this.freezeClock.pause();
+    }
+
+    // Freeze challenge playback/animations too (optional hook)
+    if (this.currentChallenge && this.currentChallenge.pause) {
+      this.currentChallenge.pause();
+    }
+
     this.emit('gamePaused', this.state);
   }
 
@@ -389,7 +1438,26 @@ handleTimeout() {
     if (!this.state.isPlaying || !this.state.isPaused) return;
 
     this.state.isPaused = false;
-    this.startTimer();
+    this.runWatch.start();
+    this.resumeSessionClock();
+
+    if (this.responseWatch && !this.state.challengeAnswered) {
+      this.responseWatch.start();
+    }
+    if (this.prepareClock) {
+      this.prepareClock.resume();
+    }
+    if (this.freezeClock) {
+      this.freezeClock.resume();
+    }
+
+    if (this.currentChallenge && this.currentChallenge.resume) {
+      this.currentChallenge.resume();
+    }
+
+    if (this.isTimed()) {
+      this.startTimer();
+    }
     this.emit('gameResumed', this.state);
   }
 
@@ -398,9 +1466,27 @@ handleTimeout() {
  */
 endGame() {
   if (!this.state.isPlaying) return; // Already ended
+
+  // Left mid-challenge (or on its explanation): replays end here too
+  if (this.currentChallenge && (!this.state.challengeAnswered || this.state.awaitingExplanation)) {
+    this.recordEvent('end');
+  }
   
   this.state.isPlaying = false;
+  this.turnResolve = null;
+  this.runWatch.pause();
   this.stopTimer();
+  this.pauseSessionClock();
+  this.cancelPrepare();
+  this.cancelFreeze();
+  if (!this.isSharedGame() && !this.config.playback) {
+    clearCheckpoint();
+    this.recordChallengeStats();
+  }
+
+  if (this.state.players && this.state.currentPlayer >= 0) {
+    storePlayer(this.state.players[this.state.currentPlayer], this.state);
+  }
 
   // Clean up current challenge
   if (this.currentChallenge && this.currentChallenge.cleanup) {
@@ -411,25 +1497,252 @@ endGame() {
   const duration = Date.now() - this.state.startTime;
 
   // Save stats to localStorage
-  const savedData = updateGameStats(
-    this.state.score,
-    this.state.correctAnswers,
-    this.state.totalChallenges,
-    this.state.categoryStats
-  );
+  const results = this.recordResults();
 
   this.emit('gameOver', {
+    mode: this.config.mode || 'endless',
     score: this.state.score,
     correctAnswers: this.state.correctAnswers,
     totalChallenges: this.state.totalChallenges,
-    accuracy: Math.round((this.state.correctAnswers / this.state.totalChallenges) * 100),
+    accuracy: this.getAccuracy(),
     duration: Math.round(duration / 1000), // seconds
-    highScore: savedData.highScore,
-    isNewHighScore: this.state.score === savedData.highScore,
-    rank: savedData.rank
+    seed: this.state.seed,
+    scoreBreakdown: { ...this.state.scoreBreakdown },
+    bestCombo: this.state.bestCombo,
+    runLog: this.state.runLog.map(entry => ({ ...entry })),
+    // Duels run two engines against each other, so neither side replays alone
+    replay: this.config.playback || this.config.mode === 'duel' ? null : this.getReplay(),
+    ...results
   });
 }
 
+  /**
+   * Accuracy over answered challenges (skipped and forfeited ones don't count)
+   */
+  getAccuracy() {
+    const answered = this.state.totalChallenges - this.state.skippedChallenges;
+    return answered > 0 ? Math.round((this.state.correctAnswers / answered) * 100) : 0;
+  }
+
+  /**
+   * Persist results for the current mode
+   * @returns {Object} Mode-specific fields for the game over screen
+   */
+  recordResults() {
+    if (this.state.players) {
+      // Hot-seat games are shared, so they never touch anyone's stats
+      return {
+        standings: getStandings(this.state.players),
+        rounds: Math.min(this.state.round, this.config.rounds || DEFAULT_ROUNDS)
+      };
+    }
+
+    // Duels are scored by their controller (see core/duel.js)
+    if (this.isSharedGame()) return {};
+
+    // Replays re-run a recorded game, so they never touch stats either
+    if (this.config.playback) {
+      return { isReplay: true, recordedScore: this.config.recordedScore };
+    }
+
+    if (this.config.mode === 'zen') {
+      // Zen sessions feed mastery per challenge type, never the high score and rank
+      const session = summarizeSession(this.state.runLog);
+      const mastery = updateMasteryStats(session);
+
+      return {
+        session: Object.entries(session).map(([id, result]) => ({
+          id,
+          ...result,
+          total: mastery[id]
+        }))
+      };
+    }
+
+    if (this.config.mode === 'training') {
+      // Training is about the review schedule, not points
+      const session = summarizeSession(this.state.runLog);
+      const stats = getChallengeStats();
+
+      return {
+        trained: Object.entries(session).map(([id, result]) => ({
+          id,
+          ...result,
+          total: stats[id] || null
+        })),
+        dueLeft: getDueChallenges(stats).length
+      };
+    }
+
+    if (this.config.mode === 'blitz') {
+      // Blitz scores race the session clock, so they keep their own high score
+      const run = updateModeRunStats(
+        'blitz',
+        this.state.score,
+        this.state.correctAnswers,
+        this.state.totalChallenges
+      );
+
+      return {
+        highScore: run.highScore,
+        isNewHighScore: this.state.score === run.highScore,
+        rank: run.rank
+      };
+    }
+
+    if (this.config.mode === 'playlist') {
+      // Each playlist keeps its own high score and history
+      const run = updateModeRunStats(
+        `playlist:${this.config.playlistId}`,
+        this.state.score,
+        this.state.correctAnswers,
+        this.state.totalChallenges
+      );
+
+      return {
+        runLabel: this.config.runLabel,
+        highScore: run.highScore,
+        isNewHighScore: this.state.score === run.highScore,
+        rank: run.rank
+      };
+    }
+
+    if (this.config.mode === 'practice') {
+      // Practice never touches ranked stats
+      const practice = updatePracticeStats(
+        this.config.challengeId,
+        this.state.difficulty,
+        this.state.correctAnswers,
+        this.state.correctAnswers + this.state.wrongAnswers
+      );
+      const info = registry.getInfo(this.config.challengeId);
+
+      return {
+        challengeName: info ? info.metadata.name : this.config.challengeId,
+        difficulty: this.state.difficulty,
+        practiceCorrect: practice.correct,
+        practiceAttempts: practice.attempts
+      };
+    }
+
+    if (this.config.mode === 'ghost') {
+      // Races replay known challenges, so they never touch ranked stats -
+      // beating the ghost makes this run the new ghost
+      const ghost = getGhost(this.config.ghostKey);
+      const ghostScore = ghost ? ghost.score : 0;
+      const beatGhost = this.state.score > ghostScore;
+      if (beatGhost) {
+        this.saveGhostRecording();
+      }
+
+      return { ghostScore, beatGhost };
+    }
+
+    if (this.config.mode === 'category') {
+      // Category runs keep their own high score and rank per category set
+      const run = updateCategoryRunStats(
+        this.config.runKey,
+        this.state.score,
+        this.state.correctAnswers,
+        this.state.totalChallenges
+      );
+      const isNewHighScore = this.state.score === run.highScore;
+      if (isNewHighScore) {
+        this.saveGhostRecording();
+      }
+
+      return {
+        runLabel: this.config.runLabel,
+        highScore: run.highScore,
+        isNewHighScore,
+        rank: run.rank
+      };
+    }
+
+    if (this.config.mode === 'daily') {
+      // Dailies are kept apart from the endless high score and history
+      const daily = updateDailyStats(
+        this.config.dateKey,
+        this.state.score,
+        this.state.correctAnswers,
+        this.state.totalChallenges
+      );
+
+      return {
+        dailyStreak: daily.currentStreak,
+        bestStreak: daily.bestStreak,
+        officialScore: daily.result.score,
+        isFirstAttempt: daily.isFirstAttempt
+      };
+    }
+
+    // Other rules keep their own high score and rank per ruleset
+    const rulesKey = getRulesKey(this.rules);
+    if (rulesKey !== 'classic') {
+      const run = updateRulesetStats(
+        rulesKey,
+        this.state.score,
+        this.state.correctAnswers,
+        this.state.totalChallenges
+      );
+      const isNewHighScore = this.state.score === run.highScore;
+      if (isNewHighScore) {
+        this.saveGhostRecording();
+      }
+
+      return {
+        rulesLabel: getRulesLabel(this.rules),
+        highScore: run.highScore,
+        isNewHighScore,
+        rank: run.rank
+      };
+    }
+
+    const savedData = updateGameStats(
+      this.state.score,
+      this.state.correctAnswers,
+      this.state.totalChallenges,
+      this.state.categoryStats
+    );
+
+    const isNewHighScore = this.state.score === savedData.highScore;
+    if (isNewHighScore) {
+      this.saveGhostRecording();
+    }
+
+    return {
+      highScore: savedData.highScore,
+      isNewHighScore,
+      rank: savedData.rank
+    };
+  }
+
+  /**
+   * Add the run's answers to the per-challenge stats, and review the
+   * challenge types that were due (see core/training.js)
+   */
+  recordChallengeStats() {
+    const session = summarizeSession(this.state.runLog);
+    if (Object.keys(session).length === 0) return;
+
+    saveChallengeStats(reviewChallenges(getChallengeStats(), session));
+  }
+
+  /**
+   * Keep this run as the ghost to race for its run type (see core/ghost.js)
+   */
+  saveGhostRecording() {
+    const key = getGhostKey(this.config);
+    if (!key || this.state.score <= 0 || this.state.runLog.length === 0) return;
+
+    saveGhost(key, createRecording(
+      this.config,
+      this.state,
+      this.getInitialState().lives,
+      this.getRunTime()
+    ));
+  }
+
   /**
    * Get current state
    */
@@ -457,11 +1770,24 @@ endGame() {
     this.eventHandlers[event].forEach(handler => handler(data));
   }
 
+  /**
+   * Emit and wait for async handlers (e.g. the UI rendering a challenge)
+   */
+  async emitAsync(event, data) {
+    if (!this.eventHandlers[event]) return;
+    await Promise.all(this.eventHandlers[event].map(handler => handler(data)));
+  }
+
   /**
    * Destroy engine
    */
   destroy() {
     this.stopTimer();
+    this.pauseSessionClock();
+    if (typeof document !== 'undefined') {
+      document.removeEventListener('visibilitychange', this.handlePageHidden);
+      window.removeEventListener('pagehide', this.handlePageHide);
+    }
     if (this.currentChallenge && this.currentChallenge.cleanup) {
       this.currentChallenge.cleanup();
     }
@@ -0,0 +1,136 @@
+/**
+ * Ghost races
+ * A recording of a finished run - its seed, and when each challenge ended
+ * and how the score and lives stood - replayed next to a new run of the
+ * same challenges
+ */
+
+import { getRulesKey } from './rules.js';
+
+/**
+ * Recording format version (bump when the shape changes)
+ */
+export const GHOST_VERSION = 1;
+
+/**
+ * Storage key for the best-run ghost of a run configuration
+ * @returns {string|null} Null for modes that don't keep a ghost
+ */
+export function getGhostKey(config) {
+  if (config.mode === 'ghost') return config.ghostKey;
+  if (config.mode === 'category') return `category:${config.runKey}`;
+  if (!config.mode || config.mode === 'endless') {
+    // Each ruleset keeps its own best run
+    const rulesKey = getRulesKey(config.rules);
+    return rulesKey === 'classic' ? 'endless' : `endless:${rulesKey}`;
+  }
+  return null;
+}
+
+/**
+ * Build a recording from a finished run
+ * @param {Object} config - Engine run configuration
+ * @param {Object} state - Engine state at game over (with its run log)
+ * @param {number} startLives - Lives the run started with
+ * @param {number} duration - Run time in milliseconds (pauses excluded)
+ */
+export function createRecording(config, state, startLives, duration) {
+  return {
+    version: GHOST_VERSION,
+    key: getGhostKey(config),
+    seed: state.seed,
+    categories: config.categories || null,
+    runKey: config.runKey || null,
+    runLabel: config.runLabel || null,
+    rules: config.rules || null,
+    score: state.score,
+    startLives,
+    duration: Math.round(duration),
+    recordedAt: Date.now(),
+    // One entry per challenge: what it was, and where the run stood after it
+    challenges: state.runLog.map(entry => ({
+      id: entry.id,
+      difficulty: entry.difficulty,
+      t: entry.elapsed,
+      outcome: entry.outcome,
+      score: entry.score,
+      lives: entry.lives
+    }))
+  };
+}
+
+/**
+ * Whether a stored recording can still be raced
+ */
+export function isValidRecording(recording) {
+  return Boolean(
+    recording &&
+    recording.version === GHOST_VERSION &&
+    Array.isArray(recording.challenges) &&
+    recording.challenges.length > 0
+  );
+}
+
+/**
+ * Plays a recording back against the run clock
+ * Drives a display-only state; nothing here touches the engine
+ */
+export class GhostPlayback {
+  /**
+   * @param {Object} recording - From createRecording()
+   */
+  constructor(recording) {
+    this.recording = recording;
+    this.position = 0; // Challenges the ghost has finished
+    this.state = {
+      score: 0,
+      lives: recording.startLives,
+      challengeNumber: 1,
+      lastOutcome: null,
+      finished: false
+    };
+  }
+
+  /**
+   * Move the ghost to `elapsed` ms of run time
+   * @returns {boolean} Whether the ghost's state changed
+   */
+  update(elapsed) {
+    const challenges = this.recording.challenges;
+    let changed = false;
+
+    while (this.position < challenges.length && challenges[this.position].t <= elapsed) {
+      const entry = challenges[this.position++];
+      this.state.score = entry.score;
+      this.state.lives = entry.lives;
+      this.state.lastOutcome = entry.outcome;
+      this.state.challengeNumber = Math.min(this.position + 1, challenges.length);
+      changed = true;
+    }
+
+    if (!this.state.finished && this.position >= challenges.length && elapsed >= this.recording.duration) {
+      this.state.finished = true;
+      changed = true;
+    }
+
+    return changed;
+  }
+
+  /**
+   * Compare a run with the ghost at the same moment
+   * Score decides; on equal scores, whoever has finished more challenges
+   * @param {number} score - The player's score
+   * @param {number} finishedChallenges - Challenges the player has finished
+   * @returns {Object} { status: 'ahead'|'behind'|'even', gap: points }
+   */
+  compare(score, finishedChallenges) {
+    const gap = score - this.state.score;
+    const progress = finishedChallenges - this.position;
+    const lead = gap !== 0 ? gap : progress;
+
+    return {
+      status: lead > 0 ? 'ahead' : lead < 0 ? 'behind' : 'even',
+      gap
+    };
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * Hot-seat multiplayer
+ * Pass-and-play turns for several players sharing one engine session.
+ * The engine keeps the active player's lives, score and streak in its own
+ * state and swaps them in and out of the player records between turns.
+ */
+
+/**
+ * Player count limits, and rounds when none are given
+ */
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 6;
+export const DEFAULT_ROUNDS = 10;
+
+/**
+ * Engine state fields each player keeps for themselves
+ */
+export const PLAYER_FIELDS = [
+  'lives', 'score', 'winStreak', 'bestCombo', 'scoreBreakdown',
+  'correctAnswers', 'wrongAnswers', 'skippedChallenges', 'powerUps', 'powerUpsEarned'
+];
+
+/**
+ * Trim names, drop empty ones and cap the player count
+ * (commas are removed because names travel as a comma-separated URL
+ * parameter, markup characters because names are rendered as HTML)
+ */
+export function normalizePlayerNames(names) {
+  return names
+    .map(name => String(name).replace(/[,<>&"]/g, '').trim().slice(0, 20))
+    .filter(Boolean)
+    .slice(0, MAX_PLAYERS);
+}
+
+/**
+ * Player records starting from the engine's initial state
+ * @param {string[]} names
+ * @param {Object} initialState - GameEngine.getInitialState()
+ */
+export function createPlayers(names, initialState) {
+  return names.map(name => {
+    const player = { name };
+    PLAYER_FIELDS.forEach(field => {
+      player[field] = JSON.parse(JSON.stringify(initialState[field]));
+    });
+    return player;
+  });
+}
+
+/**
+ * Copy the active player's fields from the engine state into their record
+ */
+export function storePlayer(player, state) {
+  PLAYER_FIELDS.forEach(field => {
+    player[field] = state[field];
+  });
+}
+
+/**
+ * Make a player active by copying their record into the engine state
+ */
+export function loadPlayer(player, state) {
+  PLAYER_FIELDS.forEach(field => {
+    state[field] = player[field];
+  });
+}
+
+/**
+ * Next player with lives left after `current` in this round
+ * @returns {number} Player index, or -1 when the round is over
+ */
+export function findNextPlayer(players, current) {
+  for (let i = current + 1; i < players.length; i++) {
+    if (players[i].lives > 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Players ranked by score, then lives left (ties share a rank)
+ */
+export function getStandings(players) {
+  const sorted = players
+    .map((player, index) => {
+      const answered = player.correctAnswers + player.wrongAnswers;
+      return {
+        index,
+        name: player.name,
+        score: player.score,
+        lives: player.lives,
+        correctAnswers: player.correctAnswers,
+        accuracy: answered > 0 ? Math.round((player.correctAnswers / answered) * 100) : 0
+      };
+    })
+    .sort((a, b) => b.score - a.score || b.lives - a.lives);
+
+  sorted.forEach((entry, i) => {
+    const previous = sorted[i - 1];
+    entry.rank = previous && previous.score === entry.score && previous.lives === entry.lives
+      ? previous.rank
+      : i + 1;
+  });
+
+  return sorted;
+}
@@ -0,0 +1,78 @@
+/**
+ * Mastery
+ * Accuracy per challenge type over time, fed by Zen sessions instead of the
+ * high score and rank (see storage.updateMasteryStats)
+ */
+
+/**
+ * Mastery levels, best first: a level needs enough answers at its accuracy
+ */
+export const MASTERY_LEVELS = [
+  { name: 'Mastered', minAttempts: 20, minAccuracy: 90 },
+  { name: 'Proficient', minAttempts: 10, minAccuracy: 75 },
+  { name: 'Practicing', minAttempts: 1, minAccuracy: 0 }
+];
+
+/**
+ * Days shown in the recent accuracy trend
+ */
+export const TREND_DAYS = 7;
+
+/**
+ * Answers per challenge type in a run (skipped and forfeited ones don't count),
+ * with their total response time
+ * @param {Object[]} runLog - Engine run log
+ * @returns {Object} { [challengeId]: { name, correct, attempts, time, timed } }
+ */
+export function summarizeSession(runLog) {
+  const session = {};
+
+  runLog
+    .filter(entry => ['correct', 'wrong', 'timeout'].includes(entry.outcome))
+    .forEach(entry => {
+      const result = session[entry.id] || { name: entry.name, correct: 0, attempts: 0, time: 0, timed: 0 };
+      result.attempts++;
+      if (entry.outcome === 'correct') {
+        result.correct++;
+      }
+      if (typeof entry.responseTime === 'number') {
+        result.time += entry.responseTime;
+        result.timed++;
+      }
+      session[entry.id] = result;
+    });
+
+  return session;
+}
+
+/**
+ * Accuracy in percent
+ * @param {Object} stats - { correct, attempts }
+ */
+export function getMasteryAccuracy(stats) {
+  return stats.attempts > 0 ? Math.round((stats.correct / stats.attempts) * 100) : 0;
+}
+
+/**
+ * Mastery level name for a challenge's totals, or 'New' without answers
+ * @param {Object} stats - { correct, attempts }
+ */
+export function getMasteryLevel(stats) {
+  const accuracy = getMasteryAccuracy(stats);
+  const level = MASTERY_LEVELS.find(candidate =>
+    stats.attempts >= candidate.minAttempts && accuracy >= candidate.minAccuracy
+  );
+  return level ? level.name : 'New';
+}
+
+/**
+ * Accuracy on the last days a challenge was played, oldest first
+ * @param {Object} stats - Mastery entry with its per-day results
+ * @returns {Object[]} [{ dateKey, accuracy }]
+ */
+export function getRecentDays(stats, count = TREND_DAYS) {
+  return Object.keys(stats.days || {})
+    .sort()
+    .slice(-count)
+    .map(dateKey => ({ dateKey, accuracy: getMasteryAccuracy(stats.days[dateKey]) }));
+}
@@ -0,0 +1,415 @@
+/**
+ * Game Modes
+ * Builds the run configuration passed to GameEngine.startGame()
+ */
+
+import { getDateKey, getGhost, loadReplay, getPlaylist, getChallengeStats } from '../storage.js';
+import { hashString } from '../utils/prng.js';
+import { registry } from '../challenges/registry.js';
+import { normalizePlayerNames, MIN_PLAYERS, DEFAULT_ROUNDS } from './hotseat.js';
+import { DUEL_WINS } from './duel.js';
+import { isValidRecording } from './ghost.js';
+import { isValidReplay } from './replay.js';
+import { parseRulesKey, getRulesKey, getRulesLabel, resolveRules } from './rules.js';
+import { normalizePlaylist, buildPlaylistQueue } from './playlists.js';
+import { getDueChallenges, getTrainingWeights, TRAINING_LENGTH } from './training.js';
+
+/**
+ * Display info for each challenge category
+ */
+export const CATEGORY_INFO = {
+  math: { name: 'Math', icon: '🔢' },
+  logic: { name: 'Logic', icon: '🧩' },
+  memory: { name: 'Memory', icon: '💭' },
+  puzzle: { name: 'Puzzles', icon: '🎯' }
+};
+
+/**
+ * Number of challenges in a daily run
+ */
+export const DAILY_CHALLENGE_COUNT = 10;
+
+/**
+ * Seed shared by every player on a given local date
+ */
+export function getDailySeed(dateKey = getDateKey()) {
+  return hashString(`daily-${dateKey}`);
+}
+
+/**
+ * Daily challenge configuration
+ */
+export function getDailyConfig(date = new Date()) {
+  const dateKey = getDateKey(date);
+
+  return {
+    mode: 'daily',
+    dateKey,
+    seed: getDailySeed(dateKey),
+    challengeCount: DAILY_CHALLENGE_COUNT,
+    // Ten distinct challenges: nobody gets a repeat in their daily
+    selection: ['shuffleBag', 'weighted']
+  };
+}
+
+/**
+ * Practice configuration: one challenge type at a fixed level, no lives
+ * @param {string} challengeId - Registered challenge ID
+ * @param {number} difficulty - Level to drill (kept within the challenge's levels)
+ * @param {boolean} timed - Whether the challenge timer runs
+ */
+export function getPracticeConfig(challengeId, difficulty = 1, timed = false) {
+  const info = registry.getInfo(challengeId);
+  const level = Math.max(1, Math.floor(difficulty) || 1);
+
+  return {
+    mode: 'practice',
+    challengeId,
+    difficulty: info
+      ? Math.min(info.metadata.maxDifficulty, Math.max(info.metadata.minDifficulty, level))
+      : level,
+    fixedDifficulty: true,
+    unlimitedLives: true,
+    timed
+  };
+}
+
+/**
+ * Zen configuration: no timer and no lives; wrong answers are explained and
+ * the session goes on. Results feed mastery instead of the high score
+ */
+export function getZenConfig() {
+  return {
+    mode: 'zen',
+    timed: false,
+    unlimitedLives: true,
+    adaptive: true
+  };
+}
+
+/**
+ * Blitz session length, and the time each correct answer adds (seconds)
+ */
+export const BLITZ_TIME = 180;
+export const BLITZ_BONUS = 3;
+
+/**
+ * Blitz configuration: one clock for the whole session instead of a timer per
+ * challenge; correct answers add time, and the run ends when the clock does
+ */
+export function getBlitzConfig() {
+  return {
+    mode: 'blitz',
+    sessionTime: BLITZ_TIME,
+    timeBonus: BLITZ_BONUS,
+    timed: false,
+    unlimitedLives: true,
+    adaptive: true
+  };
+}
+
+/**
+ * Training configuration: challenge types due for review come first, then
+ * the ones you miss most come up most often. No lives to lose
+ */
+export function getTrainingConfig() {
+  const stats = getChallengeStats();
+
+  return {
+    mode: 'training',
+    challengeCount: TRAINING_LENGTH,
+    unlimitedLives: true,
+    adaptive: true,
+    selection: [
+      { name: 'noRepeat', window: 2 },
+      { name: 'training', due: getDueChallenges(stats), weights: getTrainingWeights(stats) },
+      'weighted'
+    ]
+  };
+}
+
+/**
+ * Playlist configuration: the playlist's challenges in order, at their
+ * planned levels, with no lives to lose
+ * @param {Object} playlist - Saved playlist (see core/playlists.js)
+ */
+export function getPlaylistConfig(playlist) {
+  const queue = buildPlaylistQueue(normalizePlaylist(playlist));
+
+  return {
+    mode: 'playlist',
+    playlistId: playlist.id,
+    runLabel: playlist.name,
+    queue,
+    challengeCount: queue.length,
+    unlimitedLives: true
+  };
+}
+
+/**
+ * Storage key for a category set (order-independent)
+ */
+export function getCategoryRunKey(categories) {
+  return [...categories].sort().join('+');
+}
+
+/**
+ * Human-readable label for a category set, e.g. "Math + Memory"
+ */
+export function getCategoryRunLabel(categories) {
+  return [...categories]
+    .sort()
+    .map(category => CATEGORY_INFO[category] ? CATEGORY_INFO[category].name : category)
+    .join(' + ');
+}
+
+/**
+ * Category run configuration: selection limited to the given categories
+ * @param {string[]} categories - e.g. ['memory'] or ['math', 'logic']
+ */
+export function getCategoryConfig(categories) {
+  const valid = categories.filter(category => CATEGORY_INFO[category]);
+
+  return {
+    mode: 'category',
+    categories: valid,
+    runKey: getCategoryRunKey(valid),
+    runLabel: getCategoryRunLabel(valid),
+    adaptive: true
+  };
+}
+
+/**
+ * Hot-seat configuration: players take turns on the same challenge each
+ * round, which gets one level harder every round
+ * @param {string[]} names - Player names
+ * @param {number} rounds - Rounds to play
+ */
+export function getHotseatConfig(names, rounds = DEFAULT_ROUNDS) {
+  return {
+    mode: 'hotseat',
+    players: normalizePlayerNames(names),
+    rounds: Math.max(1, Math.floor(rounds) || DEFAULT_ROUNDS),
+    fixedDifficulty: true,
+    selection: ['shuffleBag', 'weighted']
+  };
+}
+
+/**
+ * Split-screen duel configuration: two players race through the same
+ * challenges, one level harder every round (see core/duel.js)
+ * @param {string[]} names - Player names (defaults for blanks)
+ * @param {number} wins - Round wins needed
+ */
+export function getDuelConfig(names = [], wins = DUEL_WINS) {
+  const players = [0, 1].map(index => normalizePlayerNames([names[index] || ''])[0] || `Player ${index + 1}`);
+
+  return {
+    mode: 'duel',
+    players,
+    wins: Math.max(1, Math.floor(wins) || DUEL_WINS),
+    fixedDifficulty: true,
+    selection: ['shuffleBag', 'weighted']
+  };
+}
+
+/**
+ * Ghost race configuration: replay the recorded run's challenges (same seed,
+ * same challenge and level at every index) and race its timeline
+ * @param {Object} recording - From ghost.createRecording()
+ */
+export function getGhostRaceConfig(recording) {
+  return {
+    mode: 'ghost',
+    ghostKey: recording.key,
+    seed: recording.seed,
+    queue: recording.challenges.map(({ id, difficulty }) => ({ id, difficulty })),
+    categories: recording.categories || undefined,
+    runKey: recording.runKey || undefined,
+    runLabel: recording.runLabel || undefined,
+    rules: recording.rules || undefined
+  };
+}
+
+/**
+ * Modes a replay can play back (duels never record one)
+ */
+const REPLAY_MODES = [
+  'endless', 'daily', 'practice', 'zen', 'blitz', 'training', 'playlist', 'category', 'hotseat', 'ghost'
+];
+
+/**
+ * Replay playback configuration: the recorded run's configuration and seed,
+ * with its inputs coming from a ReplayPlayer (see core/replay.js)
+ * @param {Object} replay - From replay.createReplay()
+ */
+export function getReplayConfig(replay) {
+  const recorded = replay.config;
+  const config = {};
+
+  // Only fields that shape the run are taken from the file
+  ['challengeCount', 'difficulty', 'sessionTime', 'timeBonus', 'rounds'].forEach(field => {
+    const value = Number(recorded[field]);
+    if (recorded[field] !== undefined && Number.isFinite(value)) {
+      config[field] = value;
+    }
+  });
+  ['fixedDifficulty', 'unlimitedLives', 'timed', 'bossRounds'].forEach(field => {
+    if (typeof recorded[field] === 'boolean') {
+      config[field] = recorded[field];
+    }
+  });
+
+  config.mode = REPLAY_MODES.includes(recorded.mode) ? recorded.mode : 'endless';
+  if (recorded.challengeId) config.challengeId = recorded.challengeId;
+  if (Array.isArray(recorded.queue)) {
+    config.queue = recorded.queue.map(planned => (
+      planned ? { id: String(planned.id), difficulty: Number(planned.difficulty) } : null
+    ));
+  }
+  if (recorded.rules) config.rules = resolveRules(recorded.rules);
+  if (Array.isArray(recorded.players)) {
+    const players = normalizePlayerNames(recorded.players);
+    if (players.length > 0) config.players = players;
+  }
+  if (Array.isArray(recorded.categories)) {
+    const categories = recorded.categories.filter(category => registry.getCategories().includes(category));
+    if (categories.length > 0) config.categories = categories;
+  }
+  if (recorded.runLabel) {
+    // Labels end up in page markup, like player names
+    config.runLabel = String(recorded.runLabel).replace(/[<>&"]/g, '').trim().slice(0, 40);
+  }
+
+  return {
+    ...config,
+    seed: replay.seed,
+    // Levels come from the replay's queue; ratings must not change either
+    adaptive: false,
+    playback: true,
+    recordedScore: replay.result.score
+  };
+}
+
+/**
+ * Short label for a run, e.g. "Daily Challenge" or "Math + Memory Run"
+ */
+export function getRunLabel(config) {
+  if (config.playback) return 'Replay';
+  if (config.mode === 'daily') return 'Daily Challenge';
+  if (config.mode === 'practice') return 'Practice';
+  if (config.mode === 'zen') return 'Zen Session';
+  if (config.mode === 'blitz') return 'Blitz';
+  if (config.mode === 'training') return 'Training';
+  if (config.mode === 'playlist') return config.runLabel;
+  if (config.mode === 'category') return `${config.runLabel} Run`;
+  if (config.mode === 'hotseat') return 'Hot-Seat';
+  if (config.mode === 'duel') return 'Duel';
+  if (config.mode === 'ghost') return config.runLabel ? `${config.runLabel} Ghost Race` : 'Ghost Race';
+  if (getRulesKey(config.rules) !== 'classic') return `${getRulesLabel(config.rules)} Run`;
+  return 'Endless Run';
+}
+
+/**
+ * Build a run configuration from URL parameters
+ * e.g. game.html?mode=daily, game.html?seed=12345
+ * game.html?mode=practice&challenge=arithmetic&level=3&timer=1
+ * or game.html?mode=zen
+ * or game.html?mode=blitz
+ * or game.html?mode=playlist&id=<playlist ID>
+ * or game.html?mode=category&categories=math,memory
+ * or game.html?mode=hotseat&players=Ann,Bo&rounds=10
+ * or game.html?mode=duel&players=Ann,Bo&wins=5
+ * or game.html?mode=ghost&key=endless
+ * or game.html?mode=replay (plays the stored replay, see storage.saveReplay)
+ * or game.html?rules=hardcore (endless run under a ruleset, see rules.getRulesKey)
+ * @param {URLSearchParams} params
+ */
+export function buildRunConfig(params) {
+  const mode = params.get('mode') || 'endless';
+
+  if (mode === 'daily') {
+    return getDailyConfig();
+  }
+
+  // Unknown (or missing) challenges and bosses fall back to an endless run
+  if (mode === 'practice' && registry.getPlainIds().includes(params.get('challenge'))) {
+    return getPracticeConfig(
+      params.get('challenge'),
+      Number(params.get('level')),
+      params.get('timer') === '1'
+    );
+  }
+
+  if (mode === 'zen') {
+    return getZenConfig();
+  }
+
+  if (mode === 'blitz') {
+    return getBlitzConfig();
+  }
+
+  if (mode === 'training') {
+    return getTrainingConfig();
+  }
+
+  if (mode === 'playlist') {
+    const playlist = getPlaylist(params.get('id'));
+    if (playlist) {
+      const config = getPlaylistConfig(playlist);
+      if (config.queue.length > 0) {
+        return config;
+      }
+    }
+  }
+
+  if (mode === 'category') {
+    const categories = (params.get('categories') || '').split(',').filter(Boolean);
+    const config = getCategoryConfig(categories);
+    if (config.categories.length > 0) {
+      return config;
+    }
+  }
+
+  if (mode === 'hotseat') {
+    const names = (params.get('players') || '').split(',');
+    const config = getHotseatConfig(names, Number(params.get('rounds')));
+    if (config.players.length >= MIN_PLAYERS) {
+      return config;
+    }
+  }
+
+  if (mode === 'duel') {
+    return getDuelConfig((params.get('players') || '').split(','), Number(params.get('wins')));
+  }
+
+  if (mode === 'ghost') {
+    const recording = getGhost(params.get('key') || 'endless');
+    if (isValidRecording(recording)) {
+      return getGhostRaceConfig(recording);
+    }
+  }
+
+  if (mode === 'replay') {
+    const replay = loadReplay();
+    if (isValidReplay(replay)) {
+      return getReplayConfig(replay);
+    }
+  }
+
+  const config = { mode: 'endless', adaptive: true };
+
+  // Shared seeds must build the same challenges for everyone,
+  // so they play the classic level progression instead of personal ratings
+  if (params.has('seed')) {
+    config.seed = params.get('seed');
+    config.adaptive = false;
+  }
+
+  const rules = parseRulesKey(params.get('rules'));
+  if (rules && getRulesKey(rules) !== 'classic') {
+    config.rules = rules;
+  }
+
+  return config;
+}
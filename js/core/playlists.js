@@ -0,0 +1,94 @@
+/**
+ * Playlists
+ * Named workouts built by the player: challenge types in order, each played
+ * a number of times across a level range. A playlist runs as an explicit
+ * challenge queue (see GameEngine config.queue)
+ */
+
+import { registry } from '../challenges/registry.js';
+
+/**
+ * Allowed range of each item field
+ */
+export const PLAYLIST_LIMITS = {
+  count: { min: 1, max: 20 },
+  level: { min: 1, max: 50 }
+};
+
+/**
+ * Most items in one playlist
+ */
+export const MAX_PLAYLIST_ITEMS = 12;
+
+/**
+ * Clamp a number into a limit (fallback when it isn't one)
+ */
+function clamp(value, { min, max }, fallback) {
+  const number = Math.floor(Number(value));
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+}
+
+/**
+ * Complete, in-range playlist: items of unknown challenges (or bosses) are dropped and
+ * each item's levels fit the challenge
+ * @param {Object} playlist - { id, name, items: [{ challengeId, count, minLevel, maxLevel }] }
+ */
+export function normalizePlaylist(playlist) {
+  const items = (playlist.items || [])
+    .filter(item => item && registry.getPlainIds().includes(item.challengeId))
+    .slice(0, MAX_PLAYLIST_ITEMS)
+    .map(item => {
+      const { minDifficulty, maxDifficulty } = registry.getInfo(item.challengeId).metadata;
+      const levelLimits = {
+        min: Math.max(PLAYLIST_LIMITS.level.min, minDifficulty),
+        max: Math.min(PLAYLIST_LIMITS.level.max, maxDifficulty)
+      };
+      const minLevel = clamp(item.minLevel, levelLimits, levelLimits.min);
+
+      return {
+        challengeId: item.challengeId,
+        count: clamp(item.count, PLAYLIST_LIMITS.count, 1),
+        minLevel,
+        maxLevel: Math.max(minLevel, clamp(item.maxLevel, levelLimits, minLevel))
+      };
+    });
+
+  return {
+    id: playlist.id || `playlist-${Date.now().toString(36)}`,
+    // Names end up in page markup, like player names (see hotseat.normalizePlayerNames)
+    name: String(playlist.name || '').replace(/[<>&"]/g, '').trim().slice(0, 40) || 'Workout',
+    items
+  };
+}
+
+/**
+ * Challenges in a playlist run
+ */
+export function getPlaylistLength(playlist) {
+  return playlist.items.reduce((total, item) => total + item.count, 0);
+}
+
+/**
+ * The run's challenge queue: every item in order, its levels rising evenly
+ * from the lowest to the highest of its range
+ * @returns {Object[]} [{ id, difficulty }]
+ */
+export function buildPlaylistQueue(playlist) {
+  return playlist.items.flatMap(item => Array.from({ length: item.count }, (_, index) => ({
+    id: item.challengeId,
+    difficulty: item.count > 1
+      ? Math.round(item.minLevel + ((item.maxLevel - item.minLevel) * index) / (item.count - 1))
+      : item.minLevel
+  })));
+}
+
+/**
+ * One-line summary, e.g. "5 Arithmetic · 3 Color Sequence (L2-4)"
+ */
+export function describePlaylist(playlist) {
+  return playlist.items.map(item => {
+    const info = registry.getInfo(item.challengeId);
+    const levels = item.minLevel === item.maxLevel ? `L${item.minLevel}` : `L${item.minLevel}-${item.maxLevel}`;
+    return `${item.count} ${info ? info.metadata.name : item.challengeId} (${levels})`;
+  }).join(' · ');
+}
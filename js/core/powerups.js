@@ -0,0 +1,71 @@
+/**
+ * Power-ups
+ * Definitions, streak rewards and helpers for challenges that support them
+ */
+
+import { shuffleArray } from '../utils/random.js';
+
+/**
+ * Power-up definitions (order is also the reward rotation)
+ */
+export const POWER_UPS = {
+  skip: { name: 'Skip', icon: '⏭️', description: 'New challenge, no life lost' },
+  freeze: { name: 'Freeze', icon: '❄️', description: 'Stop the clock for a few seconds' },
+  fiftyFifty: { name: '50/50', icon: '✂️', description: 'Remove half of the wrong options' }
+};
+
+/**
+ * Power-ups every challenge supports unless its metadata says otherwise
+ */
+export const DEFAULT_POWER_UPS = ['skip', 'freeze'];
+
+/**
+ * Seconds the clock stands still after a freeze
+ */
+export const FREEZE_DURATION = 5;
+
+/**
+ * Consecutive correct answers needed to earn a power-up
+ */
+export const POWER_UP_STREAK = 5;
+
+/**
+ * Most of a single power-up a player can hold
+ */
+export const MAX_POWER_UPS = 3;
+
+/**
+ * Empty inventory
+ */
+export function createInventory() {
+  return Object.fromEntries(Object.keys(POWER_UPS).map(type => [type, 0]));
+}
+
+/**
+ * Power-up earned for the n-th reward of a run (rotates through all types)
+ * @param {number} rewardIndex - 0 for the first reward of the run
+ */
+export function getStreakReward(rewardIndex) {
+  const types = Object.keys(POWER_UPS);
+  return types[rewardIndex % types.length];
+}
+
+/**
+ * 50/50 helper for choice-based challenges: hide half of the wrong options
+ * (rounded down, so at least one wrong option always stays - challenges with
+ * only two options don't offer 50/50)
+ * @param {HTMLElement[]} options - Option elements
+ * @param {Function} isCorrect - (option) => boolean
+ * @returns {number} Number of options removed
+ */
+export function removeWrongOptions(options, isCorrect) {
+  const wrong = options.filter(option => !isCorrect(option) && !option.classList.contains('option-removed'));
+  const removed = shuffleArray(wrong).slice(0, Math.floor(wrong.length / 2));
+
+  removed.forEach(option => {
+    option.classList.add('option-removed');
+    option.disabled = true;
+  });
+
+  return removed.length;
+}
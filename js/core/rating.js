@@ -0,0 +1,129 @@
+/**
+ * Skill rating system
+ * Elo-style rating per challenge ID and per category, used to pick the
+ * difficulty passed to each challenge factory in adaptive runs
+ */
+
+/**
+ * Rating every player starts from
+ */
+export const DEFAULT_RATING = 1000;
+
+// Rating of a level 1 challenge, and rating points per level above it
+const LEVEL_ONE_RATING = 900;
+const RATING_PER_LEVEL = 50;
+
+// Aim for challenges the player solves ~65% of the time
+const TARGET_SUCCESS = 0.65;
+
+// Observations after which a challenge's own rating outweighs its category's
+const CATEGORY_PRIOR_WEIGHT = 5;
+
+/**
+ * Convert a difficulty level to a rating
+ */
+export function levelToRating(level) {
+  return LEVEL_ONE_RATING + (level - 1) * RATING_PER_LEVEL;
+}
+
+/**
+ * Convert a rating to the nearest difficulty level
+ */
+export function ratingToLevel(rating) {
+  return Math.round((rating - LEVEL_ONE_RATING) / RATING_PER_LEVEL) + 1;
+}
+
+/**
+ * Expected score (0-1) of a player against a challenge rating
+ */
+export function getExpectedScore(playerRating, challengeRating) {
+  return 1 / (1 + Math.pow(10, (challengeRating - playerRating) / 400));
+}
+
+/**
+ * K-factor shrinks as we learn more (Glicko-like uncertainty decay)
+ */
+function getKFactor(count) {
+  return 32 + 96 / (1 + count / 3);
+}
+
+/**
+ * Performance score for an answer
+ * Wrong = 0, correct = 0.6 (slowest) up to 1.0 (instant)
+ * @param {boolean} isCorrect
+ * @param {number} speed - Fraction of the time limit left when answering (0-1)
+ */
+export function getPerformance(isCorrect, speed) {
+  if (!isCorrect) return 0;
+  const clamped = Math.min(1, Math.max(0, speed));
+  return 0.6 + 0.4 * clamped;
+}
+
+/**
+ * Get a rating entry, defaulting for unseen challenges/categories
+ */
+function getEntry(table, key) {
+  return table[key] || { rating: DEFAULT_RATING, count: 0 };
+}
+
+/**
+ * Blend a challenge's rating with its category's (the category acts as a prior)
+ */
+export function getEffectiveRating(ratings, challengeId, category) {
+  const own = getEntry(ratings.challenges, challengeId);
+  const prior = getEntry(ratings.categories, category);
+
+  return (own.rating * own.count + prior.rating * CATEGORY_PRIOR_WEIGHT) /
+    (own.count + CATEGORY_PRIOR_WEIGHT);
+}
+
+/**
+ * Level the player is rated at for a challenge, from level 1 up to its
+ * hardest level. In adaptive runs this decides eligibility: a challenge
+ * unlocks once the rated level reaches its easiest level
+ * @param {Object} ratings - { challenges, categories } rating tables
+ * @param {Object} challenge - Registry entry {id, category, metadata}
+ */
+export function getRatedLevel(ratings, challenge) {
+  const rating = getEffectiveRating(ratings, challenge.id, challenge.category);
+
+  // Shift down so the expected success rate matches TARGET_SUCCESS
+  const offset = 400 * Math.log10(TARGET_SUCCESS / (1 - TARGET_SUCCESS));
+  return Math.min(challenge.metadata.maxDifficulty, Math.max(1, ratingToLevel(rating - offset)));
+}
+
+/**
+ * Pick the difficulty for a challenge from the player's rating
+ * @param {Object} ratings - { challenges, categories } rating tables
+ * @param {Object} challenge - Registry entry {id, category, metadata}
+ * @returns {number} Difficulty level within the challenge's range
+ */
+export function getAdaptiveDifficulty(ratings, challenge) {
+  return Math.max(challenge.metadata.minDifficulty, getRatedLevel(ratings, challenge));
+}
+
+/**
+ * Update ratings in place after an answer
+ * @param {Object} ratings - { challenges, categories } rating tables
+ * @param {string} challengeId
+ * @param {string} category
+ * @param {number} level - Difficulty the challenge was played at
+ * @param {boolean} isCorrect
+ * @param {number} speed - Fraction of the time limit left when answering (0-1)
+ */
+export function updateRatings(ratings, challengeId, category, level, isCorrect, speed) {
+  const challengeRating = levelToRating(level);
+  const performance = getPerformance(isCorrect, speed);
+
+  for (const [table, key] of [[ratings.challenges, challengeId], [ratings.categories, category]]) {
+    const entry = getEntry(table, key);
+    const expected = getExpectedScore(entry.rating, challengeRating);
+
+    table[key] = {
+      rating: Math.round(entry.rating + getKFactor(entry.count) * (performance - expected)),
+      count: entry.count + 1
+    };
+  }
+
+  return ratings;
+}
@@ -0,0 +1,207 @@
+/**
+ * Replays
+ * A run as a file: its seed, its configuration (with the challenge played at
+ * every index) and every input that decided it. Playing a replay back feeds
+ * those inputs to the engine at the recorded times, without the player
+ */
+
+import { registry } from '../challenges/registry.js';
+
+/**
+ * Replay file format version (bump when the shape changes)
+ */
+export const REPLAY_VERSION = 1;
+
+/**
+ * How often playback checks for the next input, in milliseconds
+ */
+export const REPLAY_TICK = 50;
+
+/**
+ * How long playback leaves explanations and hot-seat handoffs on screen
+ */
+export const REPLAY_SCREEN_PAUSE = 1500;
+
+/**
+ * Build a replay from a run's state (see GameEngine.getReplay)
+ * @param {Object} config - Engine run configuration
+ * @param {Object} state - Engine state (with its run log and input events)
+ */
+export function createReplay(config, state) {
+  const { playback, recordedScore, ...rules } = config;
+
+  // Pin every played challenge, so playback never depends on ratings or
+  // on how the selection changed since
+  const queue = [];
+  state.runLog.forEach(entry => {
+    queue[entry.index] = { id: entry.id, difficulty: entry.difficulty };
+  });
+
+  return {
+    version: REPLAY_VERSION,
+    seed: state.seed,
+    config: { ...rules, queue: Array.from(queue, planned => planned || null) },
+    events: state.replayEvents.map(event => ({ ...event })),
+    result: {
+      score: state.score,
+      challenges: state.totalChallenges,
+      correctAnswers: state.correctAnswers
+    },
+    recordedAt: Date.now()
+  };
+}
+
+/**
+ * Whether a replay file can be played back
+ * Files are shared (e.g. in bug reports), so duels - which never record one -
+ * and challenges this version doesn't know are turned away too
+ */
+export function isValidReplay(replay) {
+  if (!(
+    replay &&
+    replay.version === REPLAY_VERSION &&
+    replay.seed !== undefined &&
+    replay.config && typeof replay.config === 'object' &&
+    Array.isArray(replay.events) &&
+    replay.result && typeof replay.result.score === 'number'
+  )) {
+    return false;
+  }
+
+  const { mode, challengeId, queue } = replay.config;
+  if (mode === 'duel') return false;
+  if (challengeId !== undefined && !registry.hasChallenge(challengeId)) return false;
+
+  return !queue || (Array.isArray(queue) && queue.every(planned =>
+    planned === null || (planned && registry.hasChallenge(planned.id) && Number.isFinite(planned.difficulty))
+  ));
+}
+
+/**
+ * Plays a replay's inputs into an engine
+ * Each event fires once its challenge is on screen and the challenge has
+ * been shown as long as in the recording; answers and timeouts first set the
+ * challenge clock to its recorded reading, so they score the same points
+ */
+export class ReplayPlayer {
+  /**
+   * @param {GameEngine} engine - Engine running the replay's configuration
+   * @param {Object} replay - From createReplay()
+   */
+  constructor(engine, replay) {
+    this.engine = engine;
+    this.events = replay.events;
+    this.position = 0;
+    this.interval = null;
+    this.screenTimeout = null;
+
+    // Screens that wait for a tap are closed after a short look
+    engine.on('explanationReady', () => {
+      this.afterPause(() => engine.dismissExplanation());
+    });
+    engine.on('turnHandoff', () => {
+      this.afterPause(() => engine.beginTurn());
+    });
+  }
+
+  /**
+   * Start feeding inputs from the first event (call after startGame)
+   */
+  start() {
+    this.stop();
+    this.position = 0;
+    this.interval = setInterval(() => this.tick(), REPLAY_TICK);
+  }
+
+  /**
+   * Stop playback
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    if (this.screenTimeout) {
+      clearTimeout(this.screenTimeout);
+      this.screenTimeout = null;
+    }
+  }
+
+  /**
+   * Run `action` after REPLAY_SCREEN_PAUSE, while playback is running
+   */
+  afterPause(action) {
+    if (!this.interval) return;
+
+    clearTimeout(this.screenTimeout);
+    this.screenTimeout = setTimeout(() => {
+      this.screenTimeout = null;
+      action();
+    }, REPLAY_SCREEN_PAUSE);
+  }
+
+  /**
+   * Fire the next event once it is due
+   */
+  tick() {
+    const engine = this.engine;
+    const state = engine.state;
+
+    if (!state.isPlaying) {
+      this.stop();
+      return;
+    }
+    if (state.isPaused) return;
+
+    const event = this.events[this.position];
+    if (!event) {
+      // Out of inputs on a challenge the recording never reached: the run
+      // was left between challenges
+      const last = this.events[this.events.length - 1];
+      if (!state.challengeAnswered && state.totalChallenges > (last ? last.n : 0)) {
+        engine.endGame();
+      }
+      return;
+    }
+
+    // An event for a challenge that has already passed can't be applied
+    if (event.n < state.totalChallenges) {
+      this.position++;
+      return;
+    }
+    if (event.n > state.totalChallenges || engine.getChallengeTime() < event.t) return;
+
+    // The recorded player tapped through the reading countdown: end it
+    // first, so answers, hints and freezes are usable
+    if (state.isPreparing) {
+      engine.skipPrepare();
+      return;
+    }
+
+    this.position++;
+    this.apply(event);
+  }
+
+  /**
+   * Feed one recorded input to the engine
+   * @param {Object} event - See GameEngine.recordEvent()
+   */
+  apply(event) {
+    const engine = this.engine;
+
+    if (event.type === 'answer') {
+      engine.setChallengeClock(event.clock);
+      engine.submitAnswer(event.answer);
+    } else if (event.type === 'timeout') {
+      engine.setChallengeClock(event.clock);
+      engine.stopTimer();
+      engine.handleTimeout();
+    } else if (event.type === 'hint') {
+      engine.useHint();
+    } else if (event.type === 'powerUp') {
+      engine.usePowerUp(event.powerUp);
+    } else if (event.type === 'end') {
+      engine.endGame();
+    }
+  }
+}
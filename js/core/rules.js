@@ -0,0 +1,116 @@
+/**
+ * Game rules
+ * Lives, life regain, the cost of a mistake and the shortest challenge timer,
+ * passed to GameEngine.startGame() as config.rules. Presets cover the usual
+ * ways to play; anything else is a custom ruleset from the rules editor
+ */
+
+/**
+ * Allowed range of each rule
+ * lives: starting (and most) lives
+ * regainEvery: wins in a row per life regained (0 = never)
+ * penalty: lives lost per wrong answer or timeout (0 = unlimited lives)
+ * minTime: shortest challenge timer in seconds, however high the level
+ */
+export const RULE_LIMITS = {
+  lives: { min: 1, max: 9 },
+  regainEvery: { min: 0, max: 10 },
+  penalty: { min: 0, max: 3 },
+  minTime: { min: 1, max: 30 }
+};
+
+/**
+ * Named rulesets (classic is the default everywhere)
+ */
+export const RULE_PRESETS = {
+  classic: { name: 'Classic', lives: 5, regainEvery: 3, penalty: 1, minTime: 5 },
+  hardcore: { name: 'Hardcore', lives: 1, regainEvery: 0, penalty: 1, minTime: 5 },
+  relaxed: { name: 'Relaxed', lives: 5, regainEvery: 3, penalty: 0, minTime: 5 }
+};
+
+/**
+ * Complete, in-range rules (missing or invalid fields fall back to classic)
+ * @param {Object} rules - Partial rules, e.g. { lives: 3 }
+ */
+export function resolveRules(rules = {}) {
+  const resolved = {};
+
+  Object.entries(RULE_LIMITS).forEach(([field, { min, max }]) => {
+    const value = Math.floor(Number(rules && rules[field]));
+    resolved[field] = Number.isFinite(value)
+      ? Math.min(max, Math.max(min, value))
+      : RULE_PRESETS.classic[field];
+  });
+
+  return resolved;
+}
+
+/**
+ * Preset matching the rules, or null for custom rules
+ */
+export function getRulesPreset(rules) {
+  const resolved = resolveRules(rules);
+  const match = Object.entries(RULE_PRESETS).find(([, preset]) =>
+    Object.keys(RULE_LIMITS).every(field => preset[field] === resolved[field])
+  );
+  return match ? match[0] : null;
+}
+
+/**
+ * Storage key for a ruleset: the preset ID, or every rule for custom ones
+ * (so changing a custom rule starts a new high score)
+ */
+export function getRulesKey(rules) {
+  const resolved = resolveRules(rules);
+  return getRulesPreset(resolved) ||
+    `custom:${Object.keys(RULE_LIMITS).map(field => resolved[field]).join('-')}`;
+}
+
+/**
+ * Rules from a storage key (see getRulesKey), or null if it isn't one
+ */
+export function parseRulesKey(key) {
+  if (RULE_PRESETS[key]) return resolveRules(RULE_PRESETS[key]);
+
+  const match = /^custom:(\d+)-(\d+)-(\d+)-(\d+)$/.exec(key || '');
+  if (!match) return null;
+
+  const rules = {};
+  Object.keys(RULE_LIMITS).forEach((field, index) => {
+    rules[field] = Number(match[index + 1]);
+  });
+  return resolveRules(rules);
+}
+
+/**
+ * Name of a ruleset, e.g. "Hardcore" or "Custom"
+ */
+export function getRulesLabel(rules) {
+  const preset = getRulesPreset(rules);
+  return preset ? RULE_PRESETS[preset].name : 'Custom';
+}
+
+/**
+ * One-line summary, e.g. "1 life · no regain · 5s minimum"
+ */
+export function describeRules(rules) {
+  const { lives, regainEvery, penalty, minTime } = resolveRules(rules);
+  const parts = penalty === 0
+    ? ['Unlimited lives']
+    : [
+      `${lives} ${lives === 1 ? 'life' : 'lives'}`,
+      regainEvery > 0 ? `+1 every ${regainEvery} wins` : 'no regain',
+      ...(penalty > 1 ? [`−${penalty} per mistake`] : [])
+    ];
+
+  parts.push(`${minTime}s minimum`);
+  return parts.join(' · ');
+}
+
+/**
+ * Whether a run never loses lives (practice, or a penalty of 0)
+ * @param {Object} config - Engine run configuration
+ */
+export function hasUnlimitedLives(config) {
+  return Boolean(config.unlimitedLives) || resolveRules(config.rules).penalty === 0;
+}
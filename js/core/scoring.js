@@ -0,0 +1,82 @@
+/**
+ * Scoring system
+ * Points per correct answer from the challenge level, speed and combo streak
+ */
+
+import { calculateTimerBonus } from './difficulty.js';
+
+/**
+ * Base points per difficulty level
+ */
+export const POINTS_PER_LEVEL = 10;
+
+/**
+ * Extra share of the base points per timer bonus tier (0-2)
+ */
+export const SPEED_BONUS_PER_TIER = 0.25;
+
+/**
+ * Combo multiplier step per consecutive correct answer, and its cap
+ */
+export const COMBO_STEP = 0.1;
+export const MAX_COMBO_MULTIPLIER = 2;
+
+/**
+ * Share of the base points lost per hint taken, and the most hints per challenge
+ */
+export const HINT_PENALTY = 0.25;
+export const MAX_HINTS = 3;
+
+/**
+ * Combo multiplier for a win streak (the first correct answer is x1)
+ */
+export function getComboMultiplier(winStreak) {
+  const multiplier = 1 + COMBO_STEP * Math.max(0, winStreak - 1);
+  return Math.min(MAX_COMBO_MULTIPLIER, Math.round(multiplier * 10) / 10);
+}
+
+/**
+ * Score a correct answer
+ * @param {Object} params
+ * @param {number} params.difficulty - Level the challenge was built at
+ * @param {number} params.timeRemaining - Seconds left when answering
+ * @param {number} params.baseTime - Challenge time limit
+ * @param {number} params.winStreak - Consecutive correct answers, including this one
+ * @param {boolean} params.timed - Untimed runs get no speed bonus
+ * @param {number} params.hintsUsed - Hints taken on this challenge
+ * @returns {Object} Breakdown {base, speed, hints, combo, multiplier, points}
+ */
+export function calculatePoints({ difficulty, timeRemaining, baseTime, winStreak, timed = true, hintsUsed = 0 }) {
+  const base = POINTS_PER_LEVEL * difficulty;
+  const tier = timed && baseTime > 0 ? calculateTimerBonus(timeRemaining, baseTime) : 0;
+  const speed = Math.round(base * SPEED_BONUS_PER_TIER * tier);
+  const hints = Math.min(base, Math.round(base * HINT_PENALTY * hintsUsed));
+  const multiplier = getComboMultiplier(winStreak);
+  const points = Math.round((base + speed - hints) * multiplier);
+
+  return {
+    base,
+    speed,
+    hints,
+    combo: points - (base + speed - hints),
+    multiplier,
+    points
+  };
+}
+
+/**
+ * Short text for a breakdown, e.g. "30 + 15 speed − 8 hints × 1.2 combo"
+ */
+export function formatBreakdown(breakdown) {
+  let text = `${breakdown.base}`;
+  if (breakdown.speed > 0) {
+    text += ` + ${breakdown.speed} speed`;
+  }
+  if (breakdown.hints > 0) {
+    text += ` − ${breakdown.hints} hints`;
+  }
+  if (breakdown.multiplier > 1) {
+    text += ` × ${breakdown.multiplier} combo`;
+  }
+  return text;
+}
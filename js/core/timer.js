@@ -1,8 +1,25 @@
 /**
  * Timer Component
- * Visual countdown timer with progress bar
+ * Visual countdown timer with progress bar, plus an optional session clock
+ * for runs timed as a whole (see GameEngine config.sessionTime)
  */
 
+import { animateElement } from '../utils/animations.js';
+
+/**
+ * Session seconds left at which the clock turns amber, then red
+ */
+const SESSION_WARNING = 30;
+const SESSION_CRITICAL = 10;
+
+/**
+ * Session time as m:ss, e.g. 2:05
+ */
+function formatClock(seconds) {
+  const whole = Math.ceil(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
 export class Timer {
   constructor(containerElement) {
     this.container = containerElement;
@@ -28,15 +45,63 @@ export class Timer {
           <div class="timer-bar-fill"></div>
         </div>
       </div>
+      <div class="timer-wrapper timer-session" style="display: none;">
+        <div class="timer-display">
+          <span class="timer-icon">⏳</span>
+          <span class="timer-session-text">0:00</span>
+          <span class="timer-session-bonus"></span>
+        </div>
+        <div class="timer-bar-container">
+          <div class="timer-bar-fill timer-session-fill"></div>
+        </div>
+      </div>
     `;
 
     this.progressBar = this.container.querySelector('.timer-bar-fill');
     this.timeDisplay = this.container.querySelector('.timer-text');
     this.timerWrapper = this.container.querySelector('.timer-wrapper');
+    this.sessionWrapper = this.container.querySelector('.timer-session');
+    this.sessionBar = this.container.querySelector('.timer-session-fill');
+    this.sessionDisplay = this.container.querySelector('.timer-session-text');
+    this.sessionBonus = this.container.querySelector('.timer-session-bonus');
+  }
+
+  /**
+   * Choose the clocks shown: the challenge timer, the session clock, or both
+   * (the whole timer hides when neither runs)
+   */
+  setClocks({ challenge = true, session = false } = {}) {
+    this.timerWrapper.style.display = challenge ? '' : 'none';
+    this.sessionWrapper.style.display = session ? '' : 'none';
+    this.container.style.display = challenge || session ? 'block' : 'none';
+  }
+
+  /**
+   * Update the session clock
+   * @param {number} timeRemaining - Seconds left in the session
+   * @param {number} sessionTime - Session length the bar is drawn against
+   */
+  updateSession(timeRemaining, sessionTime) {
+    const percentage = Math.min(100, (timeRemaining / sessionTime) * 100);
+
+    this.sessionDisplay.textContent = formatClock(timeRemaining);
+    this.sessionBar.style.width = `${percentage}%`;
+    this.sessionBar.classList.toggle('timer-warning', timeRemaining <= SESSION_WARNING && timeRemaining > SESSION_CRITICAL);
+    this.sessionBar.classList.toggle('timer-critical', timeRemaining <= SESSION_CRITICAL);
+    this.sessionWrapper.classList.toggle('pulse-critical', timeRemaining <= SESSION_CRITICAL);
+  }
+
+  /**
+   * Flash the time added to the session clock
+   * @param {number} seconds
+   */
+  showSessionBonus(seconds) {
+    this.sessionBonus.textContent = `+${seconds}s`;
+    animateElement(this.sessionBonus, 'session-bonus', 900);
   }
 
   /**
-   * Update timer display
+   * Update timer display (called on every animation frame while running)
    * @param {number} timeRemaining - Seconds remaining
    * @param {number} baseTime - Total time for challenge
    */
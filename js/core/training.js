@@ -0,0 +1,211 @@
+/**
+ * Training
+ * Accuracy and response times per challenge type, with an SM-2 style review
+ * schedule on top: types you miss come back the next day, types you know
+ * come back less and less often. Training runs play what is due first and
+ * weaker types more often (see storage.getChallengeStats)
+ */
+
+import { registry } from '../challenges/registry.js';
+import { getDateKey } from '../storage.js';
+import { getMasteryAccuracy } from './mastery.js';
+
+/**
+ * SM-2 ease factor of a new challenge type, and the lowest it can drop to
+ */
+export const DEFAULT_EASE = 2.5;
+export const MIN_EASE = 1.3;
+
+/**
+ * Challenges in a training run
+ */
+export const TRAINING_LENGTH = 15;
+
+/**
+ * Times each due challenge type comes up in a training run
+ */
+export const DUE_REPEATS = 2;
+
+/**
+ * Stats and schedule of a challenge type nobody has played yet
+ */
+export function createStatsEntry() {
+  return {
+    correct: 0,
+    attempts: 0,
+    time: 0,   // Total response time in seconds...
+    timed: 0,  // ...over this many answers
+    ease: DEFAULT_EASE,
+    interval: 0,     // Days between the last two reviews
+    repetitions: 0,  // Passed reviews in a row
+    due: null,       // Date key of the next review (null = never reviewed)
+    reviewed: null   // Date key of the last review
+  };
+}
+
+/**
+ * Date key `days` after another one
+ */
+export function addDays(dateKey, days) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return getDateKey(new Date(year, month - 1, day + days));
+}
+
+/**
+ * Whole days from one date key to another (negative when overdue)
+ */
+export function getDaysBetween(fromKey, toKey) {
+  const toDate = key => {
+    const [year, month, day] = key.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+  };
+  return Math.round((toDate(toKey) - toDate(fromKey)) / 86400000);
+}
+
+/**
+ * When a review is due, e.g. "Today", "Tomorrow" or "In 6 days"
+ * @param {string|null} dueKey - Date key of the review (null = not scheduled yet)
+ * @param {string} dateKey - Today
+ */
+export function formatDue(dueKey, dateKey = getDateKey()) {
+  if (!dueKey) return 'New';
+
+  const days = getDaysBetween(dateKey, dueKey);
+  if (days <= 0) return 'Today';
+  if (days === 1) return 'Tomorrow';
+  return `In ${days} days`;
+}
+
+/**
+ * Average response time in seconds, or null without timed answers
+ */
+export function getAverageTime(entry) {
+  return entry && entry.timed > 0 ? entry.time / entry.timed : null;
+}
+
+/**
+ * SM-2 quality (0-5) of a run's answers to one challenge type: accuracy
+ * decides, and a pass answered much slower than usual counts one lower
+ * @param {Object} result - From mastery.summarizeSession()
+ * @param {Object} entry - Stats before the run
+ */
+export function getReviewQuality(result, entry) {
+  const accuracy = result.correct / result.attempts;
+  let quality = accuracy === 1 ? 5 : accuracy >= 0.75 ? 4 : accuracy >= 0.5 ? 3 : accuracy > 0 ? 2 : 1;
+
+  const usual = getAverageTime(entry);
+  if (quality >= 3 && usual !== null && result.timed > 0 && result.time / result.timed > usual * 1.5) {
+    quality--;
+  }
+
+  return quality;
+}
+
+/**
+ * Next schedule after a review (SM-2): a failed review starts over tomorrow,
+ * passed ones wait 1 day, then 6, then each interval times the ease
+ * @param {Object} entry - Stats and schedule
+ * @param {number} quality - 0-5 (see getReviewQuality)
+ * @param {string} dateKey - Review date
+ */
+export function scheduleReview(entry, quality, dateKey) {
+  const ease = Math.max(MIN_EASE, entry.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+  const passed = quality >= 3;
+  const repetitions = passed ? entry.repetitions + 1 : 0;
+
+  let interval = 1;
+  if (passed && repetitions === 2) {
+    interval = 6;
+  } else if (passed && repetitions > 2) {
+    interval = Math.max(1, Math.round(entry.interval * ease));
+  }
+
+  return { ...entry, ease, repetitions, interval, due: addDays(dateKey, interval), reviewed: dateKey };
+}
+
+/**
+ * Stats entries updated with a run's results
+ * Only due (or new) challenge types are rescheduled by a pass - playing one
+ * again before it is due doesn't count as a review - but a failed review
+ * always brings it back tomorrow. Boss rounds are left out, since one
+ * answer covers several challenge types
+ * @param {Object} stats - Stored stats keyed by challenge ID
+ * @param {Object} results - From mastery.summarizeSession()
+ * @param {string} dateKey - Today
+ * @returns {Object} Updated entries keyed by challenge ID
+ */
+export function reviewChallenges(stats, results, dateKey = getDateKey()) {
+  const updated = {};
+
+  Object.entries(results).forEach(([challengeId, result]) => {
+    const info = registry.getInfo(challengeId);
+    if (!info || info.metadata.stages) return;
+
+    const before = { ...createStatsEntry(), ...stats[challengeId] };
+    const quality = getReviewQuality(result, before);
+    const entry = {
+      ...before,
+      correct: before.correct + result.correct,
+      attempts: before.attempts + result.attempts,
+      time: before.time + result.time,
+      timed: before.timed + result.timed
+    };
+
+    const isDueOrNew = !before.due || before.due <= dateKey;
+    updated[challengeId] = isDueOrNew || quality < 3 ? scheduleReview(entry, quality, dateKey) : entry;
+  });
+
+  return updated;
+}
+
+/**
+ * Challenge types due for review, most overdue (then weakest) first
+ * @param {Object} stats - Stored stats keyed by challenge ID
+ * @param {string} dateKey - Today
+ * @returns {string[]} Challenge IDs
+ */
+export function getDueChallenges(stats, dateKey = getDateKey()) {
+  return Object.entries(stats)
+    .filter(([id, entry]) => entry.due && entry.due <= dateKey && registry.hasChallenge(id))
+    .sort((a, b) => a[1].due.localeCompare(b[1].due) || getMasteryAccuracy(a[1]) - getMasteryAccuracy(b[1]))
+    .map(([id]) => id);
+}
+
+/**
+ * Pick weight per challenge type: up to 3× for the ones you miss most
+ * (types never played keep the normal weight)
+ * @param {Object} stats - Stored stats keyed by challenge ID
+ */
+export function getTrainingWeights(stats) {
+  const weights = {};
+  Object.entries(stats).forEach(([id, entry]) => {
+    if (entry.attempts > 0) {
+      weights[id] = 1 + 2 * (1 - entry.correct / entry.attempts);
+    }
+  });
+  return weights;
+}
+
+/**
+ * Selection policy for training runs: each due challenge type comes up
+ * DUE_REPEATS times first, and weaker types are picked more often
+ * Options: { due: challenge IDs, weights: pick weight by challenge ID }
+ */
+registry.registerSelectionPolicy('training', (options = {}) => ({
+  state: { drawn: {} },
+
+  // Nothing left to review leaves the candidates as they are (see ChallengeSelector.next)
+  filter(candidates) {
+    return candidates.filter(c =>
+      (options.due || []).includes(c.id) && (this.state.drawn[c.id] || 0) < DUE_REPEATS
+    );
+  },
+
+  weight(candidate) {
+    return (options.weights || {})[candidate.id] || 1;
+  },
+
+  record(picked) {
+    this.state.drawn[picked.id] = (this.state.drawn[picked.id] || 0) + 1;
+  }
+}));
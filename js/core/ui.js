@@ -4,6 +4,11 @@
  */
 
 import { Timer } from './timer.js';
+import { formatBreakdown, HINT_PENALTY, MAX_HINTS } from './scoring.js';
+import { POWER_UPS } from './powerups.js';
+import { resolveRules, hasUnlimitedLives } from './rules.js';
+import { getMasteryAccuracy, getMasteryLevel } from './mastery.js';
+import { formatDue } from './training.js';
 import { 
   pulseElement, 
   shakeElement, 
@@ -14,6 +19,98 @@ import {
   bounceElement 
 } from '../utils/animations.js';
 
+/**
+ * Zen session results per challenge type, with their mastery overall
+ * @param {Object[]} session - [{ name, correct, attempts, total }]
+ */
+function renderSession(session) {
+  if (!session || session.length === 0) return '';
+
+  return `
+    <table class="standings-table">
+      <tr><th>Challenge</th><th>Today</th><th>Overall</th><th>Mastery</th></tr>
+      ${session.map(result => `
+        <tr>
+          <td>${result.name}</td>
+          <td>${result.correct}/${result.attempts}</td>
+          <td>${getMasteryAccuracy(result.total)}%</td>
+          <td>${getMasteryLevel(result.total)}</td>
+        </tr>
+      `).join('')}
+    </table>
+  `;
+}
+
+/**
+ * Training results per challenge type, with their accuracy overall and
+ * when each comes up for review next
+ * @param {Object[]} trained - [{ name, correct, attempts, total }]
+ */
+function renderTraining(trained) {
+  if (!trained || trained.length === 0) return '';
+
+  return `
+    <table class="standings-table">
+      <tr><th>Challenge</th><th>Today</th><th>Overall</th><th>Next Review</th></tr>
+      ${trained.map(result => `
+        <tr>
+          <td>${result.name}</td>
+          <td>${result.correct}/${result.attempts}</td>
+          <td>${getMasteryAccuracy(result.total || result)}%</td>
+          <td>${formatDue(result.total ? result.total.due : null)}</td>
+        </tr>
+      `).join('')}
+    </table>
+  `;
+}
+
+/**
+ * Readable form of a correct answer (lists, true/false)
+ */
+function getAnswerText(answer) {
+  if (Array.isArray(answer)) return answer.join(', ');
+  if (typeof answer === 'boolean') return answer ? 'Valid' : 'Invalid';
+  return String(answer);
+}
+
+/**
+ * Answer text for markup: answers can come from imported replay files
+ */
+function formatAnswer(answer) {
+  return getAnswerText(answer).replace(/[&<>"]/g, char => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]
+  ));
+}
+
+/**
+ * Run log entries shown on the review screen
+ */
+export function isMistake(entry) {
+  return entry.outcome === 'wrong' || entry.outcome === 'timeout';
+}
+
+/**
+ * Hot-seat standings table (see hotseat.getStandings)
+ * @param {Object[]} standings
+ * @param {number} highlight - Player index to highlight, e.g. whose turn is next
+ */
+function renderStandings(standings, highlight = -1) {
+  return `
+    <table class="standings-table">
+      <tr><th>#</th><th>Player</th><th>Score</th><th>Lives</th><th>Accuracy</th></tr>
+      ${standings.map(entry => `
+        <tr class="${entry.index === highlight ? 'standings-current' : ''} ${entry.lives <= 0 ? 'standings-out' : ''}">
+          <td>${entry.rank}</td>
+          <td>${entry.name}</td>
+          <td>${entry.score}</td>
+          <td>${entry.lives > 0 ? '❤️'.repeat(entry.lives) : 'Out'}</td>
+          <td>${entry.accuracy}%</td>
+        </tr>
+      `).join('')}
+    </table>
+  `;
+}
+
 export class UIManager {
   constructor() {
     this.elements = {};
@@ -37,7 +134,15 @@ export class UIManager {
       scoreDisplay: document.getElementById('score'),
       livesContainer: document.getElementById('lives'),
       difficultyDisplay: document.getElementById('difficulty'),
+      progressDisplay: document.getElementById('run-progress'),
+      turnDisplay: document.getElementById('turn-display'),
+      ghostBar: document.getElementById('ghost-bar'),
       timerContainer: document.getElementById('timer-container'),
+      prepareOverlay: document.getElementById('prepare-overlay'),
+      powerUpBar: document.getElementById('powerup-bar'),
+      explainPanel: document.getElementById('explain-panel'),
+      hintButton: document.getElementById('hint-btn'),
+      hintPanel: document.getElementById('hint-panel'),
       
       // Challenge area
       challengeContainer: document.getElementById('challenge'),
@@ -52,7 +157,9 @@ export class UIManager {
       
       // Modals
       gameOverModal: document.getElementById('game-over-modal'),
-      pauseModal: document.getElementById('pause-modal')
+      pauseModal: document.getElementById('pause-modal'),
+      reviewModal: document.getElementById('review-modal'),
+      handoffModal: document.getElementById('handoff-modal')
     };
   }
 
@@ -67,14 +174,15 @@ export class UIManager {
 
   /**
    * Initialize hearts display
+   * @param {number} count - Most lives in this run (see rules.lives)
    */
-  initHearts() {
+  initHearts(count = 5) {
     if (!this.elements.livesContainer) return;
     
     this.elements.livesContainer.innerHTML = '';
     this.hearts = [];
     
-    for (let i = 0; i < 5; i++) {
+    for (let i = 0; i < count; i++) {
       const heart = document.createElement('div');
       heart.className = 'heart heart-full';
       heart.innerHTML = '❤️';
@@ -102,6 +210,97 @@ export class UIManager {
     }
   }
 
+  /**
+   * Update run progress for fixed-length runs (e.g. "3 / 10")
+   */
+  updateProgress(current, total) {
+    if (!this.elements.progressDisplay) return;
+    
+    if (!total) {
+      this.elements.progressDisplay.style.display = 'none';
+      return;
+    }
+    
+    this.elements.progressDisplay.textContent = `${current} / ${total}`;
+    this.elements.progressDisplay.style.display = 'block';
+  }
+
+  /**
+   * Show whose turn it is in a hot-seat game, and their score and lives
+   * @param {Object} info - Turn info (see engine.getTurnInfo), or null to hide
+   */
+  updateTurn(info) {
+    if (!this.elements.turnDisplay) return;
+    
+    if (!info) {
+      this.elements.turnDisplay.style.display = 'none';
+      return;
+    }
+    
+    this.elements.turnDisplay.textContent = `👤 ${info.player} · Round ${info.round}/${info.rounds}`;
+    this.elements.turnDisplay.style.display = 'block';
+    this.updateScore(info.score);
+    this.updateLives(info.lives);
+    this.updateDifficulty(info.difficulty);
+  }
+
+  /**
+   * Show where the ghost is and whether the player is ahead
+   * @param {Object} ghost - GhostPlayback state, or null to hide
+   * @param {Object} comparison - From GhostPlayback.compare()
+   */
+  updateGhost(ghost, comparison) {
+    const bar = this.elements.ghostBar;
+    if (!bar) return;
+    
+    if (!ghost) {
+      bar.style.display = 'none';
+      return;
+    }
+    
+    const gap = Math.abs(comparison.gap);
+    const status = {
+      ahead: `▲ Ahead${gap ? ` by ${gap}` : ''}`,
+      behind: `▼ Behind${gap ? ` by ${gap}` : ''}`,
+      even: '= Level'
+    }[comparison.status];
+    
+    bar.className = `ghost-bar ghost-${comparison.status}`;
+    bar.innerHTML = `
+      <span class="ghost-info">👻 ${ghost.score} · ${ghost.lives > 0 ? '❤️'.repeat(ghost.lives) : 'Out'} · ${ghost.finished ? 'Finished' : `Challenge ${ghost.challengeNumber}`}</span>
+      <span class="ghost-status">${status}</span>
+    `;
+    bar.style.display = 'flex';
+  }
+
+  /**
+   * Show or hide lives and timer for the run's rules
+   * @param {Object} config - Engine run configuration
+   */
+  applyRunConfig(config) {
+    if (this.elements.gameContainer) {
+      this.elements.gameContainer.classList.toggle('is-replay', Boolean(config.playback));
+    }
+    
+    if (this.elements.livesContainer) {
+      this.elements.livesContainer.style.visibility = hasUnlimitedLives(config) ? 'hidden' : 'visible';
+    }
+    this.initHearts(resolveRules(config.rules).lives);
+    
+    // Zen tracks mastery and Training the review schedule, not points
+    const scoreDisplay = this.elements.scoreDisplay && this.elements.scoreDisplay.parentElement;
+    if (scoreDisplay) {
+      scoreDisplay.style.visibility = ['zen', 'training'].includes(config.mode) ? 'hidden' : 'visible';
+    }
+    
+    if (this.timer) {
+      this.timer.setClocks({
+        challenge: config.timed !== false,
+        session: Boolean(config.sessionTime)
+      });
+    }
+  }
+
   /**
    * Update lives display
    */
@@ -132,6 +331,24 @@ export class UIManager {
     }
   }
 
+  /**
+   * Update the session clock
+   */
+  updateSessionClock(sessionRemaining, sessionTime) {
+    if (this.timer) {
+      this.timer.updateSession(sessionRemaining, sessionTime);
+    }
+  }
+
+  /**
+   * Flash time added to the session clock
+   */
+  showSessionBonus(seconds) {
+    if (this.timer) {
+      this.timer.showSessionBonus(seconds);
+    }
+  }
+
   /**
    * Reset timer
    */
@@ -141,6 +358,176 @@ export class UIManager {
     }
   }
 
+  /**
+   * Show the 3-2-1 reading countdown in place of the timer (tap to skip)
+   */
+  showPrepare(count) {
+    if (!this.elements.prepareOverlay) return;
+    
+    if (this.elements.timerContainer) {
+      this.elements.timerContainer.style.display = 'none';
+    }
+    this.elements.prepareOverlay.style.display = 'flex';
+    this.updatePrepare(count);
+  }
+
+  /**
+   * Update the reading countdown number
+   */
+  updatePrepare(count) {
+    if (!this.elements.prepareOverlay) return;
+    
+    this.elements.prepareOverlay.innerHTML = `
+      <span class="prepare-count">${count}</span>
+      <span class="prepare-hint">Get ready - tap to start now</span>
+    `;
+    pulseElement(this.elements.prepareOverlay.querySelector('.prepare-count'));
+  }
+
+  /**
+   * Hide the reading countdown and bring the timer back
+   */
+  hidePrepare() {
+    if (!this.elements.prepareOverlay || this.elements.prepareOverlay.style.display === 'none') return;
+    
+    this.elements.prepareOverlay.style.display = 'none';
+    if (this.elements.timerContainer) {
+      this.elements.timerContainer.style.display = 'block';
+    }
+  }
+
+  /**
+   * Render the power-up buttons (hidden until the player holds one)
+   * @param {Object} inventory - { type: count }
+   * @param {Array} available - Types usable on the current challenge
+   */
+  updatePowerUps(inventory, available = []) {
+    if (!this.elements.powerUpBar) return;
+    
+    const held = Object.keys(POWER_UPS).filter(type => inventory[type] > 0);
+    if (held.length === 0) {
+      this.elements.powerUpBar.style.display = 'none';
+      return;
+    }
+    
+    this.elements.powerUpBar.innerHTML = held.map(type => `
+      <button type="button" class="powerup-btn" data-powerup="${type}"
+        title="${POWER_UPS[type].description}" ${available.includes(type) ? '' : 'disabled'}>
+        <span class="powerup-icon">${POWER_UPS[type].icon}</span>
+        <span class="powerup-name">${POWER_UPS[type].name}</span>
+        <span class="powerup-count">×${inventory[type]}</span>
+      </button>
+    `).join('');
+    this.elements.powerUpBar.style.display = 'flex';
+  }
+
+  /**
+   * Show power-up earned notification
+   */
+  async showPowerUpEarnedNotification(type) {
+    const powerUp = POWER_UPS[type];
+    if (!powerUp) return;
+    await this.showPowerUpNotification(`${powerUp.icon} ${powerUp.name} earned!`);
+  }
+
+  /**
+   * Brief power-up message in the feedback area
+   */
+  async showPowerUpNotification(message) {
+    if (this.elements.feedbackContainer) {
+      this.elements.feedbackContainer.textContent = message;
+      this.elements.feedbackContainer.className = 'feedback feedback-power-up';
+      await fadeIn(this.elements.feedbackContainer);
+      
+      setTimeout(async () => {
+        await fadeOut(this.elements.feedbackContainer);
+      }, 1000);
+    }
+  }
+
+  /**
+   * Tint the timer while a freeze holds the clock
+   */
+  setTimerFrozen(frozen) {
+    if (this.elements.timerContainer) {
+      this.elements.timerContainer.classList.toggle('timer-frozen', frozen);
+    }
+  }
+
+  /**
+   * Show the "Why?" panel after a wrong answer or timeout
+   * @param {Object} data - { html, timedOut, gameOver }
+   */
+  showExplanation(data) {
+    const panel = this.elements.explainPanel;
+    if (!panel) return;
+    
+    panel.innerHTML = `
+      <div class="explain-title">${data.timedOut ? '⏱ Time\'s up' : '✗ Not quite'} - Why?</div>
+      <div class="explain-body">${data.html}</div>
+      <button type="button" id="explain-continue-btn" class="btn btn-primary">
+        ${data.gameOver ? 'See Results' : 'Next Challenge'}
+      </button>
+    `;
+    panel.style.display = 'block';
+    
+    if (panel.scrollIntoView) {
+      panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+  }
+
+  /**
+   * Hide the "Why?" panel
+   */
+  hideExplanation() {
+    if (!this.elements.explainPanel) return;
+    
+    this.elements.explainPanel.innerHTML = '';
+    this.elements.explainPanel.style.display = 'none';
+  }
+
+  /**
+   * Show the hint button for challenges that give hints
+   * @param {Object} data - { supported, available, hintsUsed }
+   */
+  updateHints({ supported = false, available = false, hintsUsed = 0 } = {}) {
+    const button = this.elements.hintButton;
+    if (!button) return;
+    
+    button.style.display = supported ? 'flex' : 'none';
+    button.disabled = !available;
+    button.title = `Each hint costs ${HINT_PENALTY * 100}% of the base points`;
+    button.innerHTML = `
+      <span class="powerup-icon">💡</span>
+      <span class="powerup-name">Hint</span>
+      <span class="powerup-count">${hintsUsed}/${MAX_HINTS}</span>
+    `;
+  }
+
+  /**
+   * Add a hint below the challenge
+   */
+  showHint(text) {
+    if (!this.elements.hintPanel) return;
+    
+    const hint = document.createElement('p');
+    hint.className = 'hint-text';
+    hint.textContent = `💡 ${text}`;
+    this.elements.hintPanel.appendChild(hint);
+    this.elements.hintPanel.style.display = 'block';
+    fadeIn(hint);
+  }
+
+  /**
+   * Remove the previous challenge's hints
+   */
+  clearHints() {
+    if (!this.elements.hintPanel) return;
+    
+    this.elements.hintPanel.innerHTML = '';
+    this.elements.hintPanel.style.display = 'none';
+  }
+
   /**
    * Render challenge
    */
@@ -149,6 +536,7 @@ export class UIManager {
     
     // Clear previous challenge
     this.elements.challengeContent.innerHTML = '';
+    this.clearHints();
     this.elements.answerContainer.innerHTML = '';
     
     // Set title if available
@@ -156,6 +544,11 @@ export class UIManager {
       this.elements.challengeTitle.textContent = challenge.title;
     }
     
+    // Boss rounds (composite challenges) stand out
+    if (this.elements.challengeContainer) {
+      this.elements.challengeContainer.classList.toggle('is-boss', Boolean(challenge.stages));
+    }
+    
     // Render challenge content
     if (challenge.render) {
       await challenge.render(this.elements.challengeContent, this.elements.answerContainer);
@@ -167,10 +560,13 @@ export class UIManager {
 
   /**
    * Show correct answer feedback
+   * @param {Object} points - Optional score breakdown (see core/scoring.js)
    */
-  async showCorrectFeedback() {
+  async showCorrectFeedback(points = null) {
     if (this.elements.feedbackContainer) {
-      this.elements.feedbackContainer.textContent = '✓ Correct!';
+      this.elements.feedbackContainer.innerHTML = points
+        ? `✓ Correct! +${points.points}<span class="points-breakdown">${formatBreakdown(points)}</span>`
+        : '✓ Correct!';
       this.elements.feedbackContainer.className = 'feedback feedback-correct';
       await fadeIn(this.elements.feedbackContainer);
       
@@ -192,7 +588,7 @@ export class UIManager {
     if (this.elements.feedbackContainer) {
       let message = '✗ Wrong!';
       if (correctAnswer !== null) {
-        message += ` (Answer: ${correctAnswer})`;
+        message += ` (Answer: ${getAnswerText(correctAnswer)})`;
       }
       
       this.elements.feedbackContainer.textContent = message;
@@ -218,7 +614,7 @@ export class UIManager {
     if (this.elements.feedbackContainer) {
       let message = '⏱ Time\'s Up!';
       if (correctAnswer !== null) {
-        message += ` (Answer: ${correctAnswer})`;
+        message += ` (Answer: ${getAnswerText(correctAnswer)})`;
       }
       
       this.elements.feedbackContainer.textContent = message;
@@ -257,14 +653,145 @@ export class UIManager {
   showGameOver(data) {
     if (!this.elements.gameOverModal) return;
     
+    // Replays show the recording's result instead of their mode's records
+    const isReplay = Boolean(data.isReplay);
+    const isDaily = data.mode === 'daily' && !isReplay;
+    const isPractice = data.mode === 'practice' && !isReplay;
+    const isHotseat = data.mode === 'hotseat';
+    const isGhost = data.mode === 'ghost' && !isReplay;
+    const isZen = data.mode === 'zen' && !isReplay;
+    const isBlitz = data.mode === 'blitz' && !isReplay;
+    const isPlaylist = data.mode === 'playlist' && !isReplay;
+    const isTraining = data.mode === 'training' && !isReplay;
     const isNewHighScore = data.isNewHighScore;
     
+    const mistakes = (data.runLog || []).filter(isMistake).length;
+    
+    let title = 'Game Over!';
+    if (isDaily) title = 'Daily Complete!';
+    if (isPractice) title = 'Practice Complete';
+    if (isHotseat) title = 'Final Standings';
+    if (isGhost) title = data.beatGhost ? 'Ghost Beaten!' : 'Race Over';
+    if (isZen) title = 'Session Complete';
+    if (isBlitz) title = "Time's Up!";
+    if (isPlaylist) title = 'Workout Complete';
+    if (isTraining) title = 'Training Complete';
+    if (isReplay) title = 'Replay Finished';
+    
+    let banner = '';
+    if (isHotseat) {
+      const winners = data.standings.filter(entry => entry.rank === 1).map(entry => entry.name);
+      banner = `<div class="new-high-score">🏆 ${winners.join(' & ')} ${winners.length > 1 ? 'tie' : 'wins'}!</div>`;
+    } else if (isZen) {
+      banner = '<div class="run-note">🧘 Zen results count towards mastery, not your high score</div>';
+    } else if (isTraining) {
+      banner = data.dueLeft > 0
+        ? `<div class="run-note">🎓 ${data.dueLeft} challenge type${data.dueLeft === 1 ? '' : 's'} still due for review</div>`
+        : '<div class="run-note">🎓 All caught up - nothing else is due today</div>';
+    } else if (isReplay) {
+      banner = data.score === data.recordedScore
+        ? '<div class="run-note">▶ Matches the recorded run</div>'
+        : `<div class="run-note">⚠️ The recorded run scored ${data.recordedScore}</div>`;
+    } else if (isGhost) {
+      banner = data.beatGhost
+        ? '<div class="new-high-score">👻 You beat your ghost - this run is the new one!</div>'
+        : `<div class="run-note">👻 ${data.ghostScore === data.score ? 'Dead heat with your ghost' : `The ghost wins by ${data.ghostScore - data.score}`}</div>`;
+    } else if (isPractice) {
+      banner = `<div class="run-note">${data.challengeName} · Level ${data.difficulty}</div>`;
+    } else if (data.mode === 'category' && !isNewHighScore) {
+      banner = `<div class="run-note">${data.runLabel} Run</div>`;
+    } else if (isPlaylist && !isNewHighScore) {
+      banner = `<div class="run-note">🏋️ ${data.runLabel}</div>`;
+    } else if (isBlitz && !isNewHighScore) {
+      banner = '<div class="run-note">⚡ Blitz</div>';
+    } else if (data.rulesLabel && !isNewHighScore) {
+      banner = `<div class="run-note">${data.rulesLabel} Rules</div>`;
+    } else if (isDaily && !data.isFirstAttempt) {
+      banner = `<div class="run-note">Replay - today's official score: ${data.officialScore}</div>`;
+    } else if (isNewHighScore) {
+      banner = '<div class="new-high-score">🎉 New High Score! 🎉</div>';
+    }
+    
+    let modeStats = isDaily ? `
+          <div class="stat-item">
+            <div class="stat-label">Day Streak</div>
+            <div class="stat-value">🔥 ${data.dailyStreak}</div>
+          </div>
+          
+          <div class="stat-item">
+            <div class="stat-label">Best Streak</div>
+            <div class="stat-value">${data.bestStreak}</div>
+          </div>
+    ` : `
+          <div class="stat-item">
+            <div class="stat-label">Rank</div>
+            <div class="stat-value rank-badge">${data.rank}</div>
+          </div>
+          
+          <div class="stat-item">
+            <div class="stat-label">High Score</div>
+            <div class="stat-value">${data.highScore}</div>
+          </div>
+    `;
+    
+    if (isReplay) {
+      modeStats = `
+          <div class="stat-item">
+            <div class="stat-label">Recorded</div>
+            <div class="stat-value">${data.recordedScore}</div>
+          </div>
+      `;
+    }
+    
+    if (isGhost) {
+      modeStats = `
+          <div class="stat-item">
+            <div class="stat-label">Ghost</div>
+            <div class="stat-value">${data.ghostScore}</div>
+          </div>
+      `;
+    }
+    
+    if (isPractice) {
+      const lifetimeAccuracy = data.practiceAttempts > 0
+        ? Math.round((data.practiceCorrect / data.practiceAttempts) * 100)
+        : 0;
+      modeStats = `
+          <div class="stat-item">
+            <div class="stat-label">Practiced</div>
+            <div class="stat-value">${data.practiceAttempts}</div>
+          </div>
+          
+          <div class="stat-item">
+            <div class="stat-label">All-Time</div>
+            <div class="stat-value">${lifetimeAccuracy}%</div>
+          </div>
+      `;
+    }
+    
     this.elements.gameOverModal.innerHTML = `
       <div class="modal-content">
-        <h2 class="modal-title">Game Over!</h2>
+        <h2 class="modal-title">${title}</h2>
         
-        ${isNewHighScore ? '<div class="new-high-score">🎉 New High Score! 🎉</div>' : ''}
+        ${banner}
         
+        ${isZen || isTraining ? `
+        <div class="game-over-stats">
+          <div class="stat-item">
+            <div class="stat-label">Accuracy</div>
+            <div class="stat-value">${data.accuracy}%</div>
+          </div>
+          
+          <div class="stat-item">
+            <div class="stat-label">Challenges</div>
+            <div class="stat-value">${data.totalChallenges}</div>
+          </div>
+        </div>
+        ${isTraining ? renderTraining(data.trained) : renderSession(data.session)}
+        ` : isHotseat ? `
+        ${renderStandings(data.standings)}
+        <div class="run-note">${data.rounds} round${data.rounds === 1 ? '' : 's'} · ${data.duration}s</div>
+        ` : `
         <div class="game-over-stats">
           <div class="stat-item">
             <div class="stat-label">Final Score</div>
@@ -285,20 +812,64 @@ export class UIManager {
             <div class="stat-label">Time</div>
             <div class="stat-value">${data.duration}s</div>
           </div>
-          
-          <div class="stat-item">
-            <div class="stat-label">Rank</div>
-            <div class="stat-value rank-badge">${data.rank}</div>
-          </div>
-          
-          <div class="stat-item">
-            <div class="stat-label">High Score</div>
-            <div class="stat-value">${data.highScore}</div>
-          </div>
+          ${modeStats}
+        </div>
+        `}
+        
+        ${!isHotseat && !isZen && !isTraining && data.scoreBreakdown && data.score > 0 ? `
+        <div class="score-breakdown">
+          <span>Base ${data.scoreBreakdown.base}</span>
+          <span>Speed +${data.scoreBreakdown.speed}</span>
+          ${data.scoreBreakdown.hints > 0 ? `<span>Hints −${data.scoreBreakdown.hints}</span>` : ''}
+          <span>Combo +${data.scoreBreakdown.combo}</span>
+          <span>Best Streak ${data.bestCombo}</span>
+        </div>` : ''}
+        
+        ${data.seed !== undefined ? `<div class="run-seed">Seed: ${data.seed}</div>` : ''}
+        
+        <div class="modal-buttons">
+          ${mistakes > 0 ? `<button id="review-btn" class="btn btn-secondary">Review Mistakes (${mistakes})</button>` : ''}
+          <button id="play-again-btn" class="btn btn-primary">${isReplay ? 'Watch Again' : 'Play Again'}</button>
+          ${data.replay ? '<button id="export-replay-btn" class="btn btn-secondary">Export Replay</button>' : ''}
+          <button id="back-home-btn" class="btn btn-secondary">Home</button>
         </div>
+      </div>
+    `;
+    
+    this.elements.gameOverModal.style.display = 'flex';
+    fadeIn(this.elements.gameOverModal);
+  }
+
+  /**
+   * Show the duel result in the game over modal
+   * @param {Object} data - From the duel's 'duelOver' event (see core/duel.js)
+   */
+  showDuelOver(data) {
+    if (!this.elements.gameOverModal) return;
+    
+    const winner = data.players[data.winner];
+    
+    this.elements.gameOverModal.innerHTML = `
+      <div class="modal-content">
+        <h2 class="modal-title">Duel Over</h2>
+        <div class="new-high-score">${winner ? `🏆 ${winner.name} wins!` : '🤝 It\'s a draw!'}</div>
+        
+        <table class="standings-table">
+          <tr><th>Player</th><th>Rounds</th><th>Score</th><th>Lives</th><th>Accuracy</th></tr>
+          ${data.players.map(player => `
+            <tr class="${player.index === data.winner ? 'standings-current' : ''}">
+              <td>${player.name}</td>
+              <td>${player.wins}</td>
+              <td>${player.score}</td>
+              <td>${player.lives > 0 ? '❤️'.repeat(player.lives) : 'Out'}</td>
+              <td>${player.accuracy}%</td>
+            </tr>
+          `).join('')}
+        </table>
+        <div class="run-note">First to ${data.winsNeeded} · ${data.rounds} round${data.rounds === 1 ? '' : 's'} played</div>
         
         <div class="modal-buttons">
-          <button id="play-again-btn" class="btn btn-primary">Play Again</button>
+          <button id="play-again-btn" class="btn btn-primary">Rematch</button>
           <button id="back-home-btn" class="btn btn-secondary">Home</button>
         </div>
       </div>
@@ -319,10 +890,120 @@ export class UIManager {
     }
   }
 
+  /**
+   * Show one missed challenge, re-rendered read-only with its solution
+   * @param {Object} data
+   * @param {Object} data.entry - Run log entry (see engine.logChallenge)
+   * @param {Object} data.challenge - Rebuilt challenge instance, if available
+   * @param {number} data.position - Index among the mistakes
+   * @param {number} data.total - Number of mistakes
+   */
+  async showReview({ entry, challenge, position, total }) {
+    const modal = this.elements.reviewModal;
+    if (!modal) return;
+    
+    const yourAnswer = entry.outcome === 'timeout' ? 'Time ran out' : formatAnswer(entry.answer);
+    // Some challenges have no single answer to show (the solution says it)
+    const hasAnswer = entry.correctAnswer !== null && entry.correctAnswer !== undefined;
+    
+    modal.innerHTML = `
+      <div class="modal-content review-content">
+        <h2 class="modal-title">Mistake ${position + 1} of ${total}</h2>
+        <div class="run-note">${entry.player ? `${entry.player} · ` : ''}${entry.name} · Level ${entry.difficulty}</div>
+        
+        <div class="review-stage">
+          <h3 class="challenge-title">${challenge && challenge.title ? challenge.title : ''}</h3>
+          <div class="challenge-content" id="review-content"></div>
+          <div class="answer-area" id="review-answer"></div>
+        </div>
+        
+        <div class="review-answers">
+          <span class="review-wrong">Your answer: ${yourAnswer}</span>
+          ${hasAnswer ? `<span class="review-correct">Correct: ${formatAnswer(entry.correctAnswer)}</span>` : ''}
+          <span>${entry.responseTime.toFixed(1)}s</span>
+        </div>
+        
+        <div class="review-explanation" id="review-explanation"></div>
+        
+        <div class="modal-buttons review-buttons">
+          <button id="review-prev-btn" class="btn btn-secondary" ${position === 0 ? 'disabled' : ''}>← Prev</button>
+          <button id="review-next-btn" class="btn btn-secondary" ${position === total - 1 ? 'disabled' : ''}>Next →</button>
+          <button id="review-close-btn" class="btn btn-primary">Back to Results</button>
+        </div>
+      </div>
+    `;
+    modal.style.display = 'flex';
+    
+    if (!challenge) return;
+    
+    try {
+      await challenge.render(modal.querySelector('#review-content'), modal.querySelector('#review-answer'));
+      
+      if (challenge.showSolution) {
+        challenge.showSolution();
+      }
+      if (challenge.explain) {
+        modal.querySelector('#review-explanation').innerHTML = challenge.explain(entry.answer);
+      }
+    } catch (error) {
+      console.error('Error rendering review:', error);
+    }
+  }
+
+  /**
+   * Hot-seat handoff screen: pass the device to the next player
+   * @param {Object} info - Turn info (see engine.getTurnInfo)
+   */
+  showHandoff(info) {
+    const modal = this.elements.handoffModal;
+    if (!modal) return;
+    
+    // Nobody should see the previous player's challenge
+    this.clearChallenge();
+    this.hideExplanation();
+    this.updateHints();
+    
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="run-note">Round ${info.round} of ${info.rounds}</div>
+        <h2 class="modal-title">Pass to ${info.player}</h2>
+        ${renderStandings(info.standings, info.playerIndex)}
+        <div class="modal-buttons">
+          <button id="handoff-ready-btn" class="btn btn-primary">I'm ${info.player} - Go!</button>
+        </div>
+      </div>
+    `;
+    
+    modal.style.display = 'flex';
+    fadeIn(modal);
+  }
+
+  /**
+   * Hide the handoff screen
+   */
+  hideHandoff() {
+    if (!this.elements.handoffModal) return;
+    
+    this.elements.handoffModal.innerHTML = '';
+    this.elements.handoffModal.style.display = 'none';
+  }
+
+  /**
+   * Hide the review screen
+   */
+  hideReview() {
+    if (!this.elements.reviewModal) return;
+    
+    this.elements.reviewModal.innerHTML = '';
+    this.elements.reviewModal.style.display = 'none';
+  }
+
   /**
    * Show pause modal
+   * @param {Object} options
+   * @param {string} options.endLabel - Optional label for a button that ends the run and saves it
    */
-  showPause() {
+  showPause(options = {}) {
     if (!this.elements.pauseModal) return;
     
     this.elements.pauseModal.innerHTML = `
@@ -330,6 +1011,7 @@ export class UIManager {
         <h2 class="modal-title">Paused</h2>
         <div class="modal-buttons">
           <button id="resume-btn" class="btn btn-primary">Resume</button>
+          ${options.endLabel ? `<button id="end-run-btn" class="btn btn-success">${options.endLabel}</button>` : ''}
           <button id="quit-btn" class="btn btn-secondary">Quit</button>
         </div>
       </div>
@@ -339,6 +1021,44 @@ export class UIManager {
     fadeIn(this.elements.pauseModal);
   }
 
+  /**
+   * Offer to resume an interrupted run (shown in the pause modal)
+   * @param {Object} info
+   * @param {string} info.label - Run label, e.g. "Daily Challenge"
+   * @param {number} info.score
+   * @param {number} info.lives
+   * @param {number} info.challengeNumber - Challenge the run stopped on
+   * @param {boolean} info.unlimitedLives
+   */
+  showResumePrompt(info) {
+    if (!this.elements.pauseModal) return;
+    
+    this.elements.pauseModal.innerHTML = `
+      <div class="modal-content">
+        <h2 class="modal-title">Resume Run?</h2>
+        <div class="run-note">${info.label} · Challenge ${info.challengeNumber}</div>
+        <div class="game-over-stats">
+          <div class="stat-item">
+            <div class="stat-label">Score</div>
+            <div class="stat-value">${info.score}</div>
+          </div>
+          ${info.unlimitedLives ? '' : `
+          <div class="stat-item">
+            <div class="stat-label">Lives</div>
+            <div class="stat-value">${'❤️'.repeat(info.lives)}</div>
+          </div>`}
+        </div>
+        <div class="modal-buttons">
+          <button id="resume-run-btn" class="btn btn-primary">Resume Run</button>
+          <button id="new-run-btn" class="btn btn-secondary">New Run</button>
+        </div>
+      </div>
+    `;
+    
+    this.elements.pauseModal.style.display = 'flex';
+    fadeIn(this.elements.pauseModal);
+  }
+
   /**
    * Hide pause modal
    */
@@ -368,10 +1088,20 @@ export class UIManager {
   reset() {
     this.updateScore(0);
     this.updateDifficulty(1);
+    this.updateProgress(0, null);
+    this.updateTurn(null);
+    this.updateGhost(null);
+    this.hideHandoff();
     this.initHearts();
+    this.hidePrepare();
+    this.updatePowerUps({});
+    this.updateHints();
+    this.hideExplanation();
+    this.setTimerFrozen(false);
     this.resetTimer(15);
     this.clearChallenge();
     this.hideGameOver();
+    this.hideReview();
     this.hidePause();
   }
 
@@ -385,5 +1115,129 @@ export class UIManager {
   }
 }
 
+/**
+ * One half of the split-screen duel
+ * A slimmed-down UI for one engine: everything is looked up inside the
+ * pane (never by ID), so two panes can live on the same page
+ */
+export class DuelPane {
+  /**
+   * @param {HTMLElement} root - The .duel-pane element
+   */
+  constructor(root) {
+    this.root = root;
+    this.elements = {
+      name: root.querySelector('.duel-name'),
+      wins: root.querySelector('.duel-wins'),
+      lives: root.querySelector('.duel-lives'),
+      score: root.querySelector('.duel-score'),
+      prepareOverlay: root.querySelector('.duel-prepare'),
+      challengeContainer: root.querySelector('.duel-challenge'),
+      challengeTitle: root.querySelector('.challenge-title'),
+      challengeContent: root.querySelector('.challenge-content'),
+      answerContainer: root.querySelector('.answer-area'),
+      feedback: root.querySelector('.duel-feedback')
+    };
+    this.timer = new Timer(root.querySelector('.duel-timer'));
+  }
+
+  /**
+   * Update the pane header
+   * @param {Object} player - From duel.getStatus()
+   * @param {number} winsNeeded - Round wins needed to take the duel
+   */
+  updateStatus(player, winsNeeded) {
+    this.elements.name.textContent = player.name;
+    this.elements.wins.textContent = `🏆 ${player.wins}/${winsNeeded}`;
+    this.elements.lives.textContent = player.lives > 0 ? '❤️'.repeat(player.lives) : 'Out';
+    
+    if (this.elements.score.textContent !== String(player.score)) {
+      this.elements.score.textContent = player.score;
+      pulseElement(this.elements.score);
+    }
+  }
+
+  /**
+   * Update timer
+   */
+  updateTimer(timeRemaining, baseTime) {
+    this.timer.update(timeRemaining, baseTime);
+  }
+
+  /**
+   * Reset timer for a new challenge
+   */
+  resetTimer(baseTime) {
+    this.timer.reset(baseTime);
+  }
+
+  /**
+   * Reading countdown (tap to skip, like the single-player overlay)
+   */
+  showPrepare(count) {
+    this.elements.prepareOverlay.style.display = 'flex';
+    this.elements.prepareOverlay.innerHTML = `
+      <span class="prepare-count">${count}</span>
+      <span class="prepare-hint">Get ready - tap to start now</span>
+    `;
+  }
+
+  /**
+   * Hide the reading countdown
+   */
+  hidePrepare() {
+    this.elements.prepareOverlay.style.display = 'none';
+  }
+
+  /**
+   * Render a challenge into this pane
+   */
+  async renderChallenge(challenge) {
+    this.hideFeedback();
+    this.elements.challengeContent.innerHTML = '';
+    this.elements.answerContainer.innerHTML = '';
+    this.elements.challengeTitle.textContent = challenge.title || '';
+    
+    if (challenge.render) {
+      await challenge.render(this.elements.challengeContent, this.elements.answerContainer);
+    }
+  }
+
+  /**
+   * Show how this player's challenge ended
+   * @param {string} type - 'correct', 'wrong', 'timeout' or 'forfeited'
+   * @param {string} message
+   * @param {any} correctAnswer - Optional answer to reveal
+   */
+  showFeedback(type, message, correctAnswer = null) {
+    this.elements.feedback.textContent = correctAnswer !== null
+      ? `${message} (Answer: ${getAnswerText(correctAnswer)})`
+      : message;
+    this.elements.feedback.className = `duel-feedback duel-feedback-${type}`;
+    this.elements.feedback.style.display = 'block';
+    
+    if (type === 'correct') {
+      flashSuccess(this.elements.challengeContainer);
+    } else if (type === 'wrong') {
+      flashError(this.elements.challengeContainer);
+      shakeElement(this.elements.challengeContainer);
+    }
+  }
+
+  /**
+   * Hide the round feedback
+   */
+  hideFeedback() {
+    this.elements.feedback.style.display = 'none';
+  }
+
+  /**
+   * Destroy the pane's timer
+   */
+  destroy() {
+    this.timer.destroy();
+  }
+}
+
 // Create singleton instance
 export const ui = new UIManager();
\ No newline at end of file
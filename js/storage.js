@@ -4,11 +4,26 @@
  */
 
 const STORAGE_KEY = 'brainChallengeData';
+const CHECKPOINT_KEY = 'brainChallengeCheckpoint';
+const GHOSTS_KEY = 'brainChallengeGhosts';
+const REPLAY_KEY = 'brainChallengeReplay';
+
+/**
+ * Days of per-challenge results kept for mastery trends
+ */
+const MASTERY_DAYS = 30;
+
+/**
+ * How scores are counted: 1 = one per correct answer, 2 = points (see
+ * core/scoring.js). Scores saved under another version are reset on load
+ */
+const SCORING_VERSION = 2;
 
 /**
  * Default data structure
  */
 const defaultData = {
+  scoringVersion: SCORING_VERSION,
   highScore: 0,
   totalGames: 0,
   rank: 'Beginner',
@@ -18,6 +33,7 @@ const defaultData = {
     accuracy: 0,
     avgScorePerGame: 0,
     favoriteCategory: null,
+    weakestCategory: null,
     currentStreak: 0,
     bestStreak: 0
   },
@@ -27,19 +43,42 @@ const defaultData = {
     memory: { correct: 0, attempts: 0 },
     puzzle: { correct: 0, attempts: 0 }
   },
-  history: [] // Last 10 games
+  history: [], // Last 10 games
+  daily: {
+    results: {}, // Keyed by local date 'YYYY-MM-DD' (first completed attempt)
+    bestStreak: 0
+  },
+  practice: {}, // Keyed by challenge ID, kept apart from ranked stats
+  categoryRuns: {}, // Keyed by sorted category set, e.g. 'memory' or 'logic+math'
+  ruleRuns: {}, // Endless runs under non-classic rules, keyed by rules key (see core/rules.js)
+  modeRuns: {}, // Runs of modes with their own high score, e.g. 'blitz' or 'playlist:<id>'
+  playlists: [], // Saved workouts, in the order they were created (see core/playlists.js)
+  customRules: null, // Last rules saved in the custom rules editor
+  mastery: {}, // Zen results keyed by challenge ID: { correct, attempts, days } (see core/mastery.js)
+  challengeStats: {}, // Accuracy, response times and review schedule by challenge ID (see core/training.js)
+  ratings: {
+    challenges: {}, // Keyed by challenge ID: { rating, count }
+    categories: {} // Keyed by category: { rating, count }
+  }
 };
 
 /**
- * Rank thresholds based on high score
+ * Fresh copy of the defaults (nested objects must not be shared)
+ */
+function cloneDefaults() {
+  return JSON.parse(JSON.stringify(defaultData));
+}
+
+/**
+ * Rank thresholds based on high score (in points, see core/scoring.js)
  */
 const RANK_THRESHOLDS = {
   0: 'Beginner',
-  10: 'Novice',
-  25: 'Skilled',
-  50: 'Expert',
-  100: 'Master',
-  200: 'Legend'
+  250: 'Novice',
+  750: 'Skilled',
+  2000: 'Expert',
+  5000: 'Master',
+  12000: 'Legend'
 };
 
 /**
@@ -49,23 +88,56 @@ export function loadData() {
   try {
     const stored = localStorage.getItem(STORAGE_KEY);
     if (!stored) {
-      return { ...defaultData };
+      return cloneDefaults();
     }
     
-    const data = JSON.parse(stored);
+    const data = migrateScores(JSON.parse(stored));
+    const defaults = cloneDefaults();
     // Merge with defaults in case new fields were added
     return {
-      ...defaultData,
+      ...defaults,
       ...data,
-      stats: { ...defaultData.stats, ...data.stats },
-      categoryStats: { ...defaultData.categoryStats, ...data.categoryStats }
+      stats: { ...defaults.stats, ...data.stats },
+      categoryStats: { ...defaults.categoryStats, ...data.categoryStats },
+      daily: { ...defaults.daily, ...data.daily },
+      practice: { ...defaults.practice, ...data.practice },
+      categoryRuns: { ...defaults.categoryRuns, ...data.categoryRuns },
+      ruleRuns: { ...defaults.ruleRuns, ...data.ruleRuns },
+      modeRuns: { ...defaults.modeRuns, ...data.modeRuns },
+      mastery: { ...defaults.mastery, ...data.mastery },
+      challengeStats: { ...defaults.challengeStats, ...data.challengeStats },
+      ratings: {
+        challenges: { ...defaults.ratings.challenges, ...(data.ratings && data.ratings.challenges) },
+        categories: { ...defaults.ratings.categories, ...(data.ratings && data.ratings.categories) }
+      }
     };
   } catch (error) {
     console.error('Error loading data:', error);
-    return { ...defaultData };
+    return cloneDefaults();
   }
 }
 
+/**
+ * Reset the scores of data saved under an older scoring version: counts of
+ * correct answers can't be compared with points or ranked by RANK_THRESHOLDS.
+ * The games count restarts with them (it averages the scores); accuracy,
+ * streaks and daily results (each day stands on its own) stay
+ */
+function migrateScores(data) {
+  if (data.scoringVersion === SCORING_VERSION) return data;
+
+  return {
+    ...data,
+    scoringVersion: SCORING_VERSION,
+    highScore: 0,
+    totalGames: 0,
+    rank: RANK_THRESHOLDS[0],
+    stats: { ...data.stats, avgScorePerGame: 0 },
+    history: [],
+    categoryRuns: {}
+  };
+}
+
 /**
  * Save data to localStorage
  */
@@ -141,9 +213,11 @@ export function updateGameStats(score, correctAnswers, totalAnswers, categoryBre
     }
   }
   
-  // Calculate favorite category
+  // Calculate favorite and weakest category
   let bestCategory = null;
   let bestAccuracy = 0;
+  let worstCategory = null;
+  let worstAccuracy = Infinity;
   
   for (const [category, stats] of Object.entries(data.categoryStats)) {
     if (stats.attempts > 0) {
@@ -152,10 +226,15 @@ export function updateGameStats(score, correctAnswers, totalAnswers, categoryBre
         bestAccuracy = accuracy;
         bestCategory = category;
       }
+      if (accuracy < worstAccuracy) {
+        worstAccuracy = accuracy;
+        worstCategory = category;
+      }
     }
   }
   
   data.stats.favoriteCategory = bestCategory;
+  data.stats.weakestCategory = worstCategory;
   
   // Update history (keep last 10 games)
   data.history.unshift({
@@ -173,6 +252,460 @@ export function updateGameStats(score, correctAnswers, totalAnswers, categoryBre
   return data;
 }
 
+/**
+ * Get local date key 'YYYY-MM-DD' (dailies roll over at local midnight)
+ */
+export function getDateKey(date = new Date()) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Count consecutive days with a completed daily, ending today
+ * (or yesterday, so the streak survives until today's daily is played)
+ */
+export function getDailyStreak(results, todayKey = getDateKey()) {
+  const [year, month, day] = todayKey.split('-').map(Number);
+  const cursor = new Date(year, month - 1, day);
+
+  if (!results[getDateKey(cursor)]) {
+    cursor.setDate(cursor.getDate() - 1);
+  }
+
+  let streak = 0;
+  while (results[getDateKey(cursor)]) {
+    streak++;
+    cursor.setDate(cursor.getDate() - 1);
+  }
+
+  return streak;
+}
+
+/**
+ * Record a daily challenge result
+ * Only the first completed attempt of a day counts; replays just bump attempts
+ */
+export function updateDailyStats(dateKey, score, correctAnswers, totalAnswers) {
+  const data = loadData();
+  const existing = data.daily.results[dateKey];
+  
+  if (existing) {
+    existing.attempts++;
+  } else {
+    data.daily.results[dateKey] = {
+      score: score,
+      correct: correctAnswers,
+      total: totalAnswers,
+      attempts: 1,
+      date: new Date().toISOString()
+    };
+  }
+  
+  const streak = getDailyStreak(data.daily.results, dateKey);
+  if (streak > data.daily.bestStreak) {
+    data.daily.bestStreak = streak;
+  }
+  
+  saveData(data);
+  
+  return {
+    result: data.daily.results[dateKey],
+    isFirstAttempt: !existing,
+    currentStreak: streak,
+    bestStreak: data.daily.bestStreak
+  };
+}
+
+/**
+ * Get daily challenge history and streaks
+ */
+export function getDailyStats() {
+  const data = loadData();
+  return {
+    results: data.daily.results,
+    currentStreak: getDailyStreak(data.daily.results),
+    bestStreak: data.daily.bestStreak
+  };
+}
+
+/**
+ * Add a run to a keyed run record (own high score, rank and history)
+ * @param {Object} runs - e.g. data.categoryRuns
+ * @returns {Object} The updated record
+ */
+function recordRun(runs, runKey, score, correctAnswers, totalAnswers) {
+  const run = runs[runKey] || {
+    highScore: 0,
+    rank: 'Beginner',
+    totalGames: 0,
+    history: []
+  };
+  
+  if (score > run.highScore) {
+    run.highScore = score;
+  }
+  run.rank = calculateRank(run.highScore);
+  run.totalGames++;
+  
+  run.history.unshift({
+    date: new Date().toISOString(),
+    score: score,
+    correct: correctAnswers,
+    total: totalAnswers
+  });
+  
+  if (run.history.length > 10) {
+    run.history = run.history.slice(0, 10);
+  }
+  
+  runs[runKey] = run;
+  return run;
+}
+
+/**
+ * Record a category-focused run (own high score, rank and history per category set)
+ */
+export function updateCategoryRunStats(runKey, score, correctAnswers, totalAnswers) {
+  const data = loadData();
+  const run = recordRun(data.categoryRuns, runKey, score, correctAnswers, totalAnswers);
+  saveData(data);
+  return run;
+}
+
+/**
+ * Get stats for all category runs
+ */
+export function getCategoryRunStats() {
+  return loadData().categoryRuns;
+}
+
+/**
+ * Record an endless run played under non-classic rules (own high score,
+ * rank and history per ruleset)
+ */
+export function updateRulesetStats(rulesKey, score, correctAnswers, totalAnswers) {
+  const data = loadData();
+  const run = recordRun(data.ruleRuns, rulesKey, score, correctAnswers, totalAnswers);
+  saveData(data);
+  return run;
+}
+
+/**
+ * Get stats for all rulesets played
+ */
+export function getRulesetStats() {
+  return loadData().ruleRuns;
+}
+
+/**
+ * Record a run of a mode that keeps its own high score, rank and history
+ * (e.g. Blitz, whose scores depend on the session clock)
+ */
+export function updateModeRunStats(mode, score, correctAnswers, totalAnswers) {
+  const data = loadData();
+  const run = recordRun(data.modeRuns, mode, score, correctAnswers, totalAnswers);
+  saveData(data);
+  return run;
+}
+
+/**
+ * Get stats for a mode's runs, or null before its first run
+ */
+export function getModeRunStats(mode) {
+  return loadData().modeRuns[mode] || null;
+}
+
+/**
+ * Add a Zen session to the mastery totals and today's results
+ * @param {Object} session - From mastery.summarizeSession()
+ * @returns {Object} Updated mastery entries for the session's challenges
+ */
+export function updateMasteryStats(session, dateKey = getDateKey()) {
+  const data = loadData();
+  const updated = {};
+
+  Object.entries(session).forEach(([challengeId, result]) => {
+    const entry = data.mastery[challengeId] || { correct: 0, attempts: 0, days: {} };
+    const day = entry.days[dateKey] || { correct: 0, attempts: 0 };
+
+    entry.correct += result.correct;
+    entry.attempts += result.attempts;
+    day.correct += result.correct;
+    day.attempts += result.attempts;
+    entry.days[dateKey] = day;
+
+    // Keep the most recent days only
+    const days = Object.keys(entry.days).sort();
+    days.slice(0, Math.max(0, days.length - MASTERY_DAYS)).forEach(key => {
+      delete entry.days[key];
+    });
+
+    data.mastery[challengeId] = entry;
+    updated[challengeId] = entry;
+  });
+
+  saveData(data);
+  return updated;
+}
+
+/**
+ * Get mastery for all challenges played in Zen mode
+ */
+export function getMasteryStats() {
+  return loadData().mastery;
+}
+
+/**
+ * Get accuracy, response times and review schedule of every challenge played
+ */
+export function getChallengeStats() {
+  return loadData().challengeStats;
+}
+
+/**
+ * Save updated challenge stats entries (see training.reviewChallenges)
+ * @param {Object} entries - Entries keyed by challenge ID
+ */
+export function saveChallengeStats(entries) {
+  const data = loadData();
+  data.challengeStats = { ...data.challengeStats, ...entries };
+  return saveData(data);
+}
+
+/**
+ * Get the rules last saved in the custom rules editor, or null
+ */
+export function getCustomRules() {
+  return loadData().customRules;
+}
+
+/**
+ * Remember the custom rules editor's values
+ */
+export function saveCustomRules(rules) {
+  const data = loadData();
+  data.customRules = rules;
+  return saveData(data);
+}
+
+/**
+ * Get saved playlists
+ */
+export function getPlaylists() {
+  return loadData().playlists;
+}
+
+/**
+ * Get one saved playlist, or null
+ */
+export function getPlaylist(id) {
+  return getPlaylists().find(playlist => playlist.id === id) || null;
+}
+
+/**
+ * Save a playlist (replacing the one with its ID, if any)
+ */
+export function savePlaylist(playlist) {
+  const data = loadData();
+  const index = data.playlists.findIndex(saved => saved.id === playlist.id);
+  if (index >= 0) {
+    data.playlists[index] = playlist;
+  } else {
+    data.playlists.push(playlist);
+  }
+  return saveData(data);
+}
+
+/**
+ * Delete a playlist and its run history
+ */
+export function deletePlaylist(id) {
+  const data = loadData();
+  data.playlists = data.playlists.filter(playlist => playlist.id !== id);
+  delete data.modeRuns[`playlist:${id}`];
+  return saveData(data);
+}
+
+/**
+ * Record a practice session for one challenge type
+ */
+export function updatePracticeStats(challengeId, difficulty, correctAnswers, totalAnswers) {
+  const data = loadData();
+  const stats = data.practice[challengeId] || {
+    correct: 0,
+    attempts: 0,
+    sessions: 0,
+    highestLevel: 0
+  };
+  
+  stats.correct += correctAnswers;
+  stats.attempts += totalAnswers;
+  stats.sessions++;
+  if (correctAnswers > 0 && difficulty > stats.highestLevel) {
+    stats.highestLevel = difficulty;
+  }
+  
+  data.practice[challengeId] = stats;
+  saveData(data);
+  return stats;
+}
+
+/**
+ * Get practice stats for all challenge types
+ */
+export function getPracticeStats() {
+  return loadData().practice;
+}
+
+/**
+ * Get skill ratings per challenge ID and category (see core/rating.js)
+ */
+export function getRatings() {
+  return loadData().ratings;
+}
+
+/**
+ * Save skill ratings
+ */
+export function saveRatings(ratings) {
+  const data = loadData();
+  data.ratings = ratings;
+  return saveData(data);
+}
+
+/**
+ * Save the in-progress run (kept apart from game data: written on every transition)
+ */
+export function saveCheckpoint(checkpoint) {
+  try {
+    localStorage.setItem(CHECKPOINT_KEY, JSON.stringify(checkpoint));
+    return true;
+  } catch (error) {
+    console.error('Error saving checkpoint:', error);
+    return false;
+  }
+}
+
+/**
+ * Get the in-progress run, or null if there is none
+ */
+export function loadCheckpoint() {
+  try {
+    const stored = localStorage.getItem(CHECKPOINT_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error('Error loading checkpoint:', error);
+    return null;
+  }
+}
+
+/**
+ * Forget the in-progress run (it ended or was abandoned)
+ */
+export function clearCheckpoint() {
+  localStorage.removeItem(CHECKPOINT_KEY);
+}
+
+/**
+ * Get the best-run ghost recordings, keyed by run type (see core/ghost.js)
+ * Kept apart from game data: recordings hold a whole run log
+ */
+export function getGhosts() {
+  try {
+    const stored = localStorage.getItem(GHOSTS_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error('Error loading ghosts:', error);
+    return {};
+  }
+}
+
+/**
+ * Get one ghost recording, or null if there is none
+ */
+export function getGhost(key) {
+  return getGhosts()[key] || null;
+}
+
+/**
+ * Save a ghost recording (replaces the previous one for its key)
+ */
+export function saveGhost(key, recording) {
+  try {
+    const ghosts = getGhosts();
+    ghosts[key] = recording;
+    localStorage.setItem(GHOSTS_KEY, JSON.stringify(ghosts));
+    return true;
+  } catch (error) {
+    console.error('Error saving ghost:', error);
+    return false;
+  }
+}
+
+/**
+ * Save the replay to watch next (see core/replay.js)
+ */
+export function saveReplay(replay) {
+  try {
+    localStorage.setItem(REPLAY_KEY, JSON.stringify(replay));
+    return true;
+  } catch (error) {
+    console.error('Error saving replay:', error);
+    return false;
+  }
+}
+
+/**
+ * Get the replay to watch, or null if there is none
+ */
+export function loadReplay() {
+  try {
+    const stored = localStorage.getItem(REPLAY_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error('Error loading replay:', error);
+    return null;
+  }
+}
+
+/**
+ * Download a replay as a JSON file (e.g. to attach to a bug report)
+ */
+export function exportReplay(replay) {
+  const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `brain-challenge-replay-${replay.seed}.json`;
+  a.click();
+  
+  // Revoked a moment later: some browsers only start the download after click() returns
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Read a replay JSON file (check it with replay.isValidReplay)
+ */
+export function importReplay(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    
+    reader.onload = (e) => {
+      try {
+        resolve(JSON.parse(e.target.result));
+      } catch (error) {
+        reject(error);
+      }
+    };
+    
+    reader.onerror = reject;
+    reader.readAsText(file);
+  });
+}
+
 /**
  * Get current stats
  */
@@ -187,6 +720,9 @@ export function resetData() {
   const confirmed = confirm('Are you sure you want to reset all data? This cannot be undone.');
   if (confirmed) {
     localStorage.removeItem(STORAGE_KEY);
+    localStorage.removeItem(CHECKPOINT_KEY);
+    localStorage.removeItem(GHOSTS_KEY);
+    localStorage.removeItem(REPLAY_KEY);
     return true;
   }
   return false;
@@ -206,7 +742,8 @@ export function exportData() {
   a.download = `brain-challenge-backup-${Date.now()}.json`;
   a.click();
   
-  URL.revokeObjectURL(url);
+  // Revoked a moment later: some browsers only start the download after click() returns
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
 /**
@@ -0,0 +1,126 @@
+/**
+ * Seedable pseudo-random number generator
+ * Every random draw in the game goes through here, so a run can be
+ * reproduced exactly from its seed
+ */
+
+/**
+ * Generate a fresh random seed (the only place that touches Math.random)
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function createSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Hash a string into a 32-bit seed (FNV-1a)
+ * Lets players share readable seeds like "daily-2024-05-01"
+ */
+export function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Normalize any seed value (number or string) to an unsigned 32-bit integer
+ */
+export function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return Math.floor(seed) >>> 0;
+  }
+
+  const str = String(seed).trim();
+  if (/^\d+$/.test(str)) {
+    return Number(str) >>> 0;
+  }
+  return hashString(str);
+}
+
+/**
+ * Derive a child seed from a parent seed and an index
+ * Used to give every challenge in a run its own independent stream
+ */
+export function deriveSeed(seed, index) {
+  let hash = normalizeSeed(seed) ^ Math.imul(index + 1, 0x9e3779b9);
+  hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+  hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+  return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+/**
+ * Advance a mulberry32 state and return [nextState, value in [0, 1)]
+ */
+function mulberry32(s) {
+  const next = (s + 0x6D2B79F5) >>> 0;
+  let t = next;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return [next, ((t ^ (t >>> 14)) >>> 0) / 4294967296];
+}
+
+/**
+ * Create a generator that random() can draw from (see useGenerator)
+ * @param {number|string} seed
+ * @returns {Object} Generator state { seed, state }
+ */
+export function createGenerator(seed = createSeed()) {
+  const normalized = normalizeSeed(seed);
+  return { seed: normalized, state: normalized };
+}
+
+// Active generator (each engine brings its own and reseeds it before every challenge)
+let active = createGenerator();
+
+/**
+ * Make random() draw from another generator
+ * Engines switch to their own before drawing, so two engines on one page
+ * (e.g. duel panes) never consume each other's numbers
+ * @param {Object} generator - From createGenerator()
+ */
+export function useGenerator(generator) {
+  active = generator;
+}
+
+/**
+ * Reseed the active generator
+ * @param {number|string} seed
+ */
+export function setSeed(seed) {
+  active.seed = normalizeSeed(seed);
+  active.state = active.seed;
+}
+
+/**
+ * Get the seed the active generator was last seeded with
+ */
+export function getSeed() {
+  return active.seed;
+}
+
+/**
+ * Drop-in replacement for Math.random() backed by the active generator
+ * @returns {number} Float in [0, 1)
+ */
+export function random() {
+  const [next, value] = mulberry32(active.state);
+  active.state = next;
+  return value;
+}
+
+/**
+ * Create an independent generator that does not touch the shared state
+ * @param {number|string} seed
+ * @returns {Function} Function returning floats in [0, 1)
+ */
+export function createRng(seed) {
+  let s = normalizeSeed(seed);
+  return () => {
+    const [next, value] = mulberry32(s);
+    s = next;
+    return value;
+  };
+}
@@ -1,20 +1,23 @@
 /**
  * Random utility functions
  * Used across all challenge types for randomization
+ * All draws come from the seedable generator in prng.js
  */
 
+import { random } from './prng.js';
+
 /**
  * Get random integer between min and max (inclusive)
  */
 export function randomInt(min, max) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+  return Math.floor(random() * (max - min + 1)) + min;
 }
 
 /**
  * Get random float between min and max
  */
 export function randomFloat(min, max, decimals = 2) {
-  const value = Math.random() * (max - min) + min;
+  const value = random() * (max - min) + min;
   return Number(value.toFixed(decimals));
 }
 
@@ -22,15 +25,14 @@ export function randomFloat(min, max, decimals = 2) {
  * Pick random element from array
  */
 export function randomChoice(array) {
-  return array[Math.floor(Math.random() * array.length)];
+  return array[Math.floor(random() * array.length)];
 }
 
 /**
  * Pick multiple random elements from array (no duplicates)
  */
 export function randomChoices(array, count) {
-  const shuffled = [...array].sort(() => Math.random() - 0.5);
-  return shuffled.slice(0, count);
+  return shuffleArray(array).slice(0, count);
 }
 
 /**
@@ -39,7 +41,7 @@ export function randomChoices(array, count) {
 export function shuffleArray(array) {
   const arr = [...array];
   for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [arr[i], arr[j]] = [arr[j], arr[i]];
   }
   return arr;
@@ -67,7 +69,7 @@ export function uniqueRandomInts(min, max, count) {
  * Random boolean with optional probability
  */
 export function randomBool(probability = 0.5) {
-  return Math.random() < probability;
+  return random() < probability;
 }
 
 /**
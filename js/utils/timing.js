@@ -0,0 +1,65 @@
+/**
+ * Timing utilities
+ * Pausable waits for challenges that run their own playback or animations
+ */
+
+/**
+ * Create a clock whose waits stand still while it is paused
+ * Challenges expose clock.pause()/clock.resume() as their pause hooks
+ * @returns {Object} { wait(ms), pause(), resume(), cancel(), isPaused() }
+ */
+export function createPausableClock() {
+  const pending = new Set();
+  let paused = false;
+
+  const schedule = (entry) => {
+    entry.startedAt = Date.now();
+    entry.handle = setTimeout(() => {
+      pending.delete(entry);
+      entry.resolve();
+    }, entry.remaining);
+  };
+
+  return {
+    /**
+     * Resolve after `ms` milliseconds of unpaused time
+     */
+    wait(ms) {
+      return new Promise(resolve => {
+        const entry = { remaining: Math.max(0, ms), resolve, handle: null, startedAt: 0 };
+        pending.add(entry);
+        if (!paused) {
+          schedule(entry);
+        }
+      });
+    },
+
+    pause() {
+      if (paused) return;
+      paused = true;
+      const now = Date.now();
+      pending.forEach(entry => {
+        clearTimeout(entry.handle);
+        entry.remaining = Math.max(0, entry.remaining - (now - entry.startedAt));
+      });
+    },
+
+    resume() {
+      if (!paused) return;
+      paused = false;
+      pending.forEach(schedule);
+    },
+
+    /**
+     * Drop all pending waits (they never resolve), e.g. on cleanup
+     */
+    cancel() {
+      pending.forEach(entry => clearTimeout(entry.handle));
+      pending.clear();
+    },
+
+    isPaused() {
+      return paused;
+    }
+  };
+}
@@ -6,7 +6,7 @@
  */
 
 // CHANGE THIS VERSION NUMBER whenever you update CSS/JS/HTML
-const CACHE_NAME = 'brain-challenge-v1.1.1'; 
+const CACHE_NAME = 'brain-challenge-v1.2.16'; 
 
 const urlsToCache = [
   './',
@@ -22,12 +22,29 @@ const urlsToCache = [
   './js/core/ui.js',
   './js/core/timer.js',
   './js/core/difficulty.js',
+  './js/core/modes.js',
+  './js/core/rating.js',
+  './js/core/scoring.js',
+  './js/core/countdown.js',
+  './js/core/powerups.js',
+  './js/core/hotseat.js',
+  './js/core/duel.js',
+  './js/core/ghost.js',
+  './js/core/replay.js',
+  './js/core/rules.js',
+  './js/core/mastery.js',
+  './js/core/playlists.js',
+  './js/core/training.js',
   './js/challenges/registry.js',
+  './js/challenges/composite.js',
   './js/challenges/math.js',
   './js/challenges/logic.js',
   './js/challenges/memory.js',
   './js/challenges/puzzles.js',
+  './js/challenges/bosses.js',
+  './js/utils/prng.js',
   './js/utils/random.js',
+  './js/utils/timing.js',
   './js/utils/validators.js',
   './js/utils/animations.js',
   './manifest.json'